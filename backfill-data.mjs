@@ -5,10 +5,11 @@
  * Backfills GFX files for old builds, converts PNGs to WebP, and precompresses JSON files.
  * 
  * Prerequisites:
- *   - brew install webp brotli  (macOS)
- *   - sudo apt-get install webp brotli  (Linux)
+ *   - brew install webp  (macOS)
+ *   - sudo apt-get install webp  (Linux)
  *   - pnpm install --frozen-lockfile --ignore-engines
  *   - export GITHUB_TOKEN=your_token_here
+ *     (or export RELEASE_SOURCE_DIR=path/to/zipballs to work offline)
  * 
  * Usage:
  *   node backfill-data.mjs --dry-run              # Test run (recommended first)
@@ -16,6 +17,9 @@
  *   node backfill-data.mjs --force                # Force re-process
  *   node backfill-data.mjs --build=2024-01-10     # Specific build
  *   node backfill-data.mjs --branch=dev           # Custom branch
+ *   node backfill-data.mjs --resolve              # Also write all_resolved.json
+ *   node backfill-data.mjs --jobs=4               # Concurrent cwebp/compression jobs (default: CPU count)
+ *   node backfill-data.mjs --encodings=br,gzip    # Precompressed encodings, primary first (default: ENCODINGS or br)
  * 
  * What it does:
  *   1. Creates/updates git worktree for target branch in data_workspace/
@@ -23,9 +27,9 @@
  *   3. Downloads release zipballs (if zip-derived steps are needed)
  *   4. Extracts GFX, converts PNG→WebP (if GFX needed)
  *   5. Deletes original PNGs
- *   6. Precompresses JSON with Brotli, renames to .json (if compression needed)
+ *   6. Precompresses JSON in place with the primary encoding, plus variants (if compression needed)
  *   7. Logs per-step progress for long-running steps
- *   Note: Final .json files are Brotli-compressed (Cloudflare-compatible)
+ *   Note: Final .json files are precompressed (Brotli by default, served per _headers)
  * 
  * After migration:
  *   cd data_workspace
@@ -40,19 +44,31 @@ import path from "path";
 import {
   exec,
   getExistingBuilds,
-  isCompressed,
-  updateSymlinks,
+  isStoredAs,
+  writeAliases,
   processLangs,
   collateAllJson,
   processMods,
   processBaseGfx,
   compressJsonFiles,
+  convertPngs,
+  parseJobs,
   extractExternalTilesets,
+  listFilesByExt,
   createGlobFn,
+  writeResolvedJson,
+  writeHeaders,
+  writeManifest,
+  writeManifestIndex,
+  ingestErrorsFromEnv,
+  writeIngestErrors,
+  writeProvenance,
 } from "./pipeline.mjs";
-
-/** @type {string[]} */
-const forbiddenTags = [];
+import { parseEncodings } from "./encoding.mjs";
+import {
+  createReleaseFilterFromEnv,
+  createReleaseSource,
+} from "./release-source.mjs";
 
 const DEFAULT_BRANCH = "main";
 const DEFAULT_WORKSPACE = "data_workspace";
@@ -68,7 +84,14 @@ function parseArgs() {
     const branch = branchArg ? branchArg.split("=")[1] : DEFAULT_BRANCH;
     const buildArg = args.find(arg => arg.startsWith("--build="));
     const specificBuild = buildArg ? buildArg.split("=")[1] : null;
-    return { dryRun, branch, force, specificBuild };
+    const resolve = args.includes("--resolve");
+    const jobsArg = args.find(arg => arg.startsWith("--jobs="));
+    const jobs = parseJobs(jobsArg?.split("=")[1]);
+    const encodingsArg = args.find(arg => arg.startsWith("--encodings="));
+    const encodings = parseEncodings(
+        encodingsArg ? encodingsArg.split("=")[1] : process.env.ENCODINGS,
+    );
+    return { dryRun, branch, force, specificBuild, resolve, jobs, encodings };
 }
 
 /**
@@ -147,28 +170,33 @@ function listJsonFiles(buildDir) {
     .filter((f) => f);
 }
 
-function allJsonCompressed(buildDir) {
+/**
+ * @param {string} buildDir
+ * @param {import("./encoding.mjs").Encoding[]} encodings - Primary first
+ */
+function allJsonCompressed(buildDir, encodings) {
   const jsonFiles = listJsonFiles(buildDir);
   if (jsonFiles.length === 0) return false;
 
   // If ANY file is not compressed, the whole build is not "fully compressed"
   for (const f of jsonFiles) {
-    if (!isCompressed(f)) return false;
+    if (!isStoredAs(f, encodings)) return false;
   }
 
   return true;
 }
 
 /**
- * Check if a build has precompressed JSON files
+ * Check if a build has JSON precompressed in the configured encodings
  * @param {string} workspaceDir
  * @param {string} buildTag
+ * @param {import("./encoding.mjs").Encoding[]} encodings - Primary first
  */
-function hasCompressedJson(workspaceDir, buildTag) {
+function hasCompressedJson(workspaceDir, buildTag, encodings) {
   const buildDir = path.join(workspaceDir, "data", buildTag);
   if (!fs.existsSync(buildDir)) return false;
 
-  return allJsonCompressed(buildDir);
+  return allJsonCompressed(buildDir, encodings);
 }
 
 /**
@@ -196,7 +224,8 @@ function hasAllJson(workspaceDir, buildTag) {
  * Main migration function
  */
 async function migrate() {
-  const { dryRun, branch, force, specificBuild } = parseArgs();
+  const { dryRun, branch, force, specificBuild, resolve, jobs, encodings } =
+    parseArgs();
 
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
   console.log("🔄 Data Backfill Script");
@@ -204,6 +233,8 @@ async function migrate() {
   console.log(`Branch: ${branch}`);
   console.log(`Workspace: ${DEFAULT_WORKSPACE}`);
   console.log(`Mode: ${dryRun ? "DRY RUN" : "LIVE"}`);
+  console.log(`Jobs: ${jobs}`);
+  console.log(`Encodings: ${encodings.map((e) => e.name).join(", ")}`);
   if (force) {
     console.log(`Force: true (overwriting existing GFX)`);
   }
@@ -214,7 +245,7 @@ async function migrate() {
 
   // Check for GitHub token
   const token = process.env.GITHUB_TOKEN;
-  if (!token) {
+  if (!token && !process.env.RELEASE_SOURCE_DIR) {
     console.error("❌ Error: GITHUB_TOKEN environment variable is required");
     console.error("   Set it with: export GITHUB_TOKEN=your_token_here");
     console.error(
@@ -224,7 +255,8 @@ async function migrate() {
     process.exit(1);
   }
 
-  const github = new Octokit({ auth: token });
+  const source = createReleaseSource(new Octokit({ auth: token }));
+  console.log(`📡 Release source: ${source.name}\n`);
 
   // Initialize or update the workspace using git worktree
   const worktreeExists = fs.existsSync(DEFAULT_WORKSPACE);
@@ -276,6 +308,9 @@ async function migrate() {
 
   console.log(`🔍 Checking ${buildsToProcess.length} builds for updates...\n`);
 
+  // Honors RELEASE_INCLUDE/RELEASE_EXCLUDE the same way pull-data.mjs does
+  const filter = createReleaseFilterFromEnv();
+
   // Process each build
   let totalExtracted = 0;
   let totalConverted = 0;
@@ -285,7 +320,7 @@ async function migrate() {
   let buildsProcessed = 0;
 
   for (const build of buildsToProcess) {
-    if (forbiddenTags.includes(build.build_number)) {
+    if (!filter.matches(build.build_number)) {
       continue;
     }
 
@@ -301,7 +336,8 @@ async function migrate() {
       Langs: force || !hasLangs(DEFAULT_WORKSPACE, build.build_number),
       ETS: force || !hasExternalTilesets(DEFAULT_WORKSPACE, build.build_number),
       Compression:
-        force || !hasCompressedJson(DEFAULT_WORKSPACE, build.build_number),
+        force ||
+        !hasCompressedJson(DEFAULT_WORKSPACE, build.build_number, encodings),
     };
 
     const needsArray = Object.entries(needs)
@@ -329,23 +365,12 @@ async function migrate() {
       console.log(
         `  📥 Downloading zipball (needed for: ${needsArray.filter((n) => n !== "Compression").join(", ")})`,
       );
-      const { data: zip } = await github.rest.repos.downloadZipballArchive({
-        owner: "cataclysmbn",
-        repo: "Cataclysm-BN",
-        ref: build.build_number,
-      });
-      const globFn = createGlobFn(Buffer.from(/** @type {any} */ (zip)));
+      const zip = await source.downloadZipball(build.build_number);
+      const globFn = createGlobFn(zip);
 
       let releaseData = null;
       if (needsJson || needsLangs) {
-        try {
-          const { data: rel } = await github.rest.repos.getReleaseByTag({
-            owner: "cataclysmbn",
-            repo: "Cataclysm-BN",
-            tag: build.build_number,
-          });
-          releaseData = rel;
-        } catch (e) {}
+        releaseData = await source.getReleaseByTag(build.build_number);
       }
 
       /** @type {any[] | null} */
@@ -353,115 +378,152 @@ async function migrate() {
       /** @type {Record<string, any> | null} */
       let dataMods = null;
       let modStats = null;
+      // Same as pull-data.mjs: skip malformed objects unless STRICT_INGEST=true
+      const ingestErrors = ingestErrorsFromEnv();
 
       if (needsJson) {
         console.log("  🧩 Generating JSON bundles...");
-        modStats = processMods(globFn, buildDir, dryRun, {
+        modStats = await processMods(globFn, buildDir, dryRun, {
           extractAssets: needsGfx,
-          convertGfx: needsGfx,
           force,
           writeJson: true,
+          errors: ingestErrors,
         });
         dataMods = modStats.dataMods;
         if (needsGfx) {
           totalExtracted += modStats.extracted;
-          totalConverted += modStats.converted;
-          totalFailed += modStats.failed;
-          console.log(
-            `    Mods assets: extracted ${modStats.extracted}, converted ${modStats.converted}, failed ${modStats.failed}`,
-          );
+          console.log(`    Mods assets: extracted ${modStats.extracted}`);
         }
-        const collateRes = collateAllJson(
+        const collateRes = await collateAllJson(
           globFn,
           buildDir,
           build.build_number,
           releaseData,
           dataMods,
           dryRun,
+          { errors: ingestErrors },
         );
         data = collateRes.data;
+        writeIngestErrors(buildDir, ingestErrors, dryRun);
+        writeProvenance(
+          globFn,
+          buildDir,
+          build.build_number,
+          source,
+          data,
+          dataMods,
+          dryRun,
+        );
         totalJsonGenerated += 2;
         console.log(`    all.json objects: ${collateRes.count}`);
+        if (resolve) {
+          await writeResolvedJson(
+            buildDir,
+            build.build_number,
+            data,
+            dataMods,
+            dryRun,
+          );
+          totalJsonGenerated++;
+        }
       } else if (needsGfx) {
         console.log("  🧩 Extracting mod assets...");
-        modStats = processMods(globFn, buildDir, dryRun, {
+        modStats = await processMods(globFn, buildDir, dryRun, {
           extractAssets: true,
-          convertGfx: true,
           force,
           writeJson: false,
+          errors: ingestErrors,
         });
         dataMods = modStats.dataMods;
         totalExtracted += modStats.extracted;
-        totalConverted += modStats.converted;
-        totalFailed += modStats.failed;
-        console.log(
-          `    Mods assets: extracted ${modStats.extracted}, converted ${modStats.converted}, failed ${modStats.failed}`,
-        );
+        console.log(`    Mods assets: extracted ${modStats.extracted}`);
       }
 
       if (needsLangs) {
         console.log("  🌐 Processing translations...");
-        if (!data || !dataMods) {
-          const langModStats = processMods(globFn, buildDir, true, {
+        if (!dataMods) {
+          const langModStats = await processMods(globFn, buildDir, true, {
             extractAssets: false,
             writeJson: false,
+            errors: ingestErrors,
           });
           dataMods = langModStats.dataMods;
-          const collateRes = collateAllJson(
+        }
+        if (!data) {
+          const collateRes = await collateAllJson(
             globFn,
             buildDir,
             build.build_number,
             releaseData,
             dataMods,
             true,
+            { errors: ingestErrors },
           );
           data = collateRes.data;
+          writeIngestErrors(buildDir, ingestErrors, dryRun);
         }
-        const langRes = await processLangs(globFn, buildDir, dryRun, data);
+        const langRes = await processLangs(
+          globFn,
+          buildDir,
+          dryRun,
+          data,
+          dataMods,
+        );
         console.log(`    Languages: ${langRes.langs.length}`);
       }
 
       if (needsGfx) {
         console.log("  🎨 Processing base GFX...");
-        const stats = processBaseGfx(globFn, buildDir, dryRun, {
-          convertGfx: true,
-          force,
-        });
+        const stats = processBaseGfx(globFn, buildDir, dryRun, { force });
         totalExtracted += stats.extracted;
-        totalConverted += stats.converted;
-        totalFailed += stats.failed;
-        console.log(
-          `    Base GFX: extracted ${stats.extracted}, converted ${stats.converted}, failed ${stats.failed}`,
-        );
+        console.log(`    Base GFX: extracted ${stats.extracted}`);
       }
 
       if (needsExternalTilesets) {
         console.log("  🧩 Processing external tilesets...");
         const stats = extractExternalTilesets(globFn, buildDir, dryRun, {
-          convertPNG: true,
           force,
         });
         totalExtracted += stats.extracted;
+        console.log(`    External tilesets: extracted ${stats.extracted}`);
+      }
+
+      const pngs = listFilesByExt(buildDir, ".png");
+      if (pngs.length > 0) {
+        console.log(`  🖼️  Converting ${pngs.length} PNGs to WebP...`);
+        const stats = await convertPngs(pngs, dryRun, { force, jobs });
         totalConverted += stats.converted;
         totalFailed += stats.failed;
         console.log(
-          `    External tilesets: extracted ${stats.extracted}, converted ${stats.converted}, failed ${stats.failed}`,
+          `    Converted ${stats.converted}, failed ${stats.failed}, skipped ${stats.skipped}`,
         );
       }
     }
 
     if (needsCompression) {
       console.log("  🗜️  Precompressing JSON...");
-      const stats = compressJsonFiles(buildDir, dryRun, force);
+      const stats = await compressJsonFiles(buildDir, dryRun, force, {
+        jobs,
+        encodings,
+      });
       totalJsonCompressed += stats.compressedCount;
       console.log(
         `    JSON files: ${stats.jsonCount}, compressed: ${stats.compressedCount}`,
       );
-      if (!dryRun && allJsonCompressed(buildDir)) {
+      if (!dryRun && allJsonCompressed(buildDir, encodings)) {
         console.log("    Build fully compressed");
       }
     }
 
+    console.log("  📝 Writing manifest...");
+    const manifest = writeManifest(
+      buildDir,
+      build.build_number,
+      dryRun,
+      encodings,
+    );
+    console.log(`    Files: ${manifest.count}`);
+
     console.groupEnd();
     console.log("");
   }
@@ -485,6 +547,11 @@ async function migrate() {
 
   // Files are already handled in the main loop above
 
+  if (buildsProcessed > 0) {
+    writeManifestIndex(DEFAULT_WORKSPACE, dryRun);
+    writeHeaders(DEFAULT_WORKSPACE, encodings, dryRun);
+  }
+
   if (dryRun) {
     console.log("ℹ️  This was a DRY RUN. No files were modified.");
     console.log("   Run without --dry-run to perform actual migration.\n");
@@ -497,8 +564,8 @@ async function migrate() {
     exec(`git -C ${DEFAULT_WORKSPACE} status --short`);
     console.log("");
 
-    // Update semantic symlinks (stable/nightly)
-    updateSymlinks(DEFAULT_WORKSPACE, builds, dryRun);
+    // Point stable/nightly/... at their builds
+    writeAliases(DEFAULT_WORKSPACE, builds, dryRun);
 
     console.log("✅ Migration complete!");
     console.log("\nNext steps:");
@@ -0,0 +1,90 @@
+// @ts-check
+/**
+ * Compare the trie-indexed createGlobFn with a linear scan of every entry,
+ * over the globs one pipeline run issues.
+ *
+ * Usage:
+ *   node bench-glob.mjs path/to/Cataclysm-BN.zip
+ */
+import AdmZip from "adm-zip";
+import fs from "fs";
+import minimatch from "minimatch";
+import { createGlobFn } from "./pipeline.mjs";
+
+/**
+ * The previous implementation: minimatch over every entry, per call
+ * @param {Buffer} zipBuffer
+ */
+function createLinearGlobFn(zipBuffer) {
+  const z = new AdmZip(zipBuffer);
+  /** @param {string} pattern */
+  function* glob(pattern) {
+    for (const f of z.getEntries()) {
+      if (f.isDirectory) continue;
+      if (minimatch(f.entryName, pattern)) {
+        yield { name: f.entryName.split("/").slice(1).join("/") };
+      }
+    }
+  }
+  return glob;
+}
+
+/**
+ * Globs issued by processMods, collateAllJson, processLangs, processBaseGfx
+ * and extractExternalTilesets
+ * @param {(pattern: string) => Iterable<{ name: string }>} glob
+ */
+function pipelinePatterns(glob) {
+  const mods = [...glob("*/data/mods/*/modinfo.json")].map(
+    (f) => f.name.split("/")[2],
+  );
+  return [
+    "*/data/mods/*/modinfo.json",
+    ...mods.flatMap((mod) => [
+      `*/data/mods/${mod}/**/*.json`,
+      `*/data/mods/${mod}/**/*.po`,
+      `*/data/mods/${mod}/**/*.png`,
+    ]),
+    "*/data/**/*.png",
+    "*/data/json/**/*.json",
+    "*/lang/po/*.po",
+    "*/gfx/**/*",
+    "*/data/json/external_tileset/**/*",
+  ];
+}
+
+/**
+ * @param {string} label
+ * @param {(pattern: string) => Iterable<{ name: string }>} glob
+ * @param {string[]} patterns
+ */
+function run(label, glob, patterns) {
+  const start = performance.now();
+  /** @type {string[]} */
+  const names = [];
+  for (const pattern of patterns) {
+    for (const f of glob(pattern)) names.push(f.name);
+  }
+  const ms = performance.now() - start;
+  console.log(`${label}: ${ms.toFixed(0)} ms, ${names.length} matches`);
+  return { ms, names };
+}
+
+const zipPath = process.argv[2];
+if (!zipPath) {
+  console.error("Usage: node bench-glob.mjs path/to/zipball.zip");
+  process.exit(1);
+}
+
+const zipBuffer = fs.readFileSync(zipPath);
+const patterns = pipelinePatterns(createGlobFn(zipBuffer));
+console.log(`${patterns.length} globs over ${zipPath}`);
+
+const linear = run("linear scan", createLinearGlobFn(zipBuffer), patterns);
+const trie = run("trie index ", createGlobFn(zipBuffer), patterns);
+
+if (linear.names.join("\n") !== trie.names.join("\n")) {
+  console.error("❌ Results differ between the two implementations");
+  process.exit(1);
+}
+console.log(`✅ Same results, ${(linear.ms / trie.ms).toFixed(1)}x faster`);
@@ -0,0 +1,125 @@
+// @ts-check
+
+/**
+ * Catalogue keys of an object's translatable strings (name and description).
+ * Plural names count once, by their singular msgid.
+ * @param {any} obj
+ * @returns {string[]}
+ */
+export function getTranslatableStrings(obj) {
+  /** @type {string[]} */
+  const keys = [];
+  for (const field of [obj.name, obj.description]) {
+    const msgid =
+      typeof field === "string" ? field : (field?.str ?? field?.str_sp);
+    if (typeof msgid !== "string" || !msgid) continue;
+    keys.push(field?.ctxt ? `${field.ctxt}\u0004${msgid}` : msgid);
+  }
+  return keys;
+}
+
+/**
+ * @typedef {Object} CoverageCount
+ * @property {number} total - Translatable strings
+ * @property {number} translated - Strings with a non-empty translation
+ * @property {number} percent - translated / total, rounded to 0.1
+ */
+
+/** @returns {CoverageCount} */
+function emptyCount() {
+  return { total: 0, translated: 0, percent: 0 };
+}
+
+/**
+ * @param {CoverageCount} count
+ */
+function finish(count) {
+  count.percent =
+    count.total === 0
+      ? 0
+      : Math.round((count.translated / count.total) * 1000) / 10;
+}
+
+/**
+ * Share of translatable strings in the collated data that a catalogue
+ * translates, overall and broken down by object type and by mod
+ * @param {any[]} data - Base game objects
+ * @param {Record<string, any>} dataMods - Mod objects from processMods
+ * @param {Record<string, any>} json - Catalogue from postprocessPoJson
+ */
+export function computeCoverage(data, dataMods, json) {
+  const overall = emptyCount();
+  /** @type {Record<string, CoverageCount>} */
+  const byType = {};
+  /** @type {Record<string, CoverageCount>} */
+  const byMod = {};
+
+  /**
+   * @param {any[]} objs
+   * @param {string} [modId]
+   */
+  const count = (objs, modId) => {
+    for (const obj of objs) {
+      if (obj.abstract !== undefined) continue;
+      for (const key of getTranslatableStrings(obj)) {
+        const translation = json[key];
+        const translated = Array.isArray(translation)
+          ? !!translation[0]
+          : !!translation;
+        const buckets = [overall, (byType[obj.type] ??= emptyCount())];
+        if (modId) buckets.push((byMod[modId] ??= emptyCount()));
+        for (const bucket of buckets) {
+          bucket.total++;
+          if (translated) bucket.translated++;
+        }
+      }
+    }
+  };
+
+  count(data);
+  for (const [modId, mod] of Object.entries(dataMods)) {
+    count(mod.data, modId);
+  }
+
+  for (const c of [
+    overall,
+    ...Object.values(byType),
+    ...Object.values(byMod),
+  ]) {
+    finish(c);
+  }
+  return { ...overall, byType, byMod };
+}
+
+/**
+ * Every catalogue key the objects could look up: all string values, plus
+ * ctxt-qualified keys for { str, ctxt } translation objects. Internal
+ * fields (__filename, __inheritance, ...) are skipped.
+ * @param {any[]} objects
+ * @returns {Set<string>}
+ */
+export function collectDataStrings(objects) {
+  /** @type {Set<string>} */
+  const strings = new Set();
+  /** @param {any} value */
+  const walk = (value) => {
+    if (typeof value === "string") {
+      strings.add(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(walk);
+    } else if (value && typeof value === "object") {
+      if (typeof value.ctxt === "string") {
+        for (const msgid of [value.str, value.str_sp, value.str_pl]) {
+          if (typeof msgid === "string") {
+            strings.add(`${value.ctxt}\u0004${msgid}`);
+          }
+        }
+      }
+      for (const [key, child] of Object.entries(value)) {
+        if (!key.startsWith("__")) walk(child);
+      }
+    }
+  };
+  objects.forEach(walk);
+  return strings;
+}
@@ -0,0 +1,49 @@
+// @ts-check
+
+/** Shared by Russian and Ukrainian, close to the BGN/PCGN romanization */
+const COMMON = {
+  а: "a", б: "b", в: "v", г: "g", д: "d", е: "e", ё: "yo", ж: "zh", з: "z",
+  и: "i", й: "y", к: "k", л: "l", м: "m", н: "n", о: "o", п: "p", р: "r",
+  с: "s", т: "t", у: "u", ф: "f", х: "kh", ц: "ts", ч: "ch", ш: "sh",
+  щ: "shch", ъ: "", ы: "y", ь: "", э: "e", ю: "yu", я: "ya",
+};
+
+/** @type {Record<string, Record<string, string>>} */
+const TABLES = {
+  ru: COMMON,
+  // Ukrainian national romanization (2010)
+  uk: {
+    ...COMMON,
+    г: "h", ґ: "g", е: "e", є: "ie", и: "y", і: "i", ї: "i", х: "kh",
+    щ: "shch", "'": "", "’": "",
+  },
+};
+
+/**
+ * Romanize Cyrillic text letter by letter; other characters pass through
+ * @param {string} str
+ * @param {string} lang
+ */
+export function romanizeCyrillic(str, lang) {
+  const table = TABLES[lang.split("_")[0]] ?? COMMON;
+  let out = "";
+  for (const ch of str) {
+    const lower = ch.toLowerCase();
+    const latin = table[lower];
+    if (latin === undefined) {
+      out += ch;
+    } else if (lower !== ch && latin) {
+      out += latin[0].toUpperCase() + latin.slice(1);
+    } else {
+      out += latin;
+    }
+  }
+  return out;
+}
+
+/** @type {import("./transliterate.mjs").Transliterator} */
+export const cyrillic = {
+  scheme: "translit",
+  langs: ["ru", "uk"],
+  romanize: romanizeCyrillic,
+};
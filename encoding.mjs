@@ -0,0 +1,169 @@
+// @ts-check
+import { promisify } from "util";
+import zlib from "zlib";
+
+/**
+ * A precompressed encoding of published JSON
+ * @typedef {Object} Encoding
+ * @property {string} name - Name used in ENCODINGS / --encodings
+ * @property {string} contentEncoding - Content-Encoding it is served with
+ * @property {string} suffix - Appended to the .json name when stored as a variant
+ * @property {(buffer: Buffer) => Promise<Buffer>} compress
+ * @property {(buffer: Buffer) => Buffer} compressSync
+ * @property {() => import("stream").Transform} createStream - Streaming compressor
+ */
+
+const brotliCompress = promisify(zlib.brotliCompress);
+const gzip = promisify(zlib.gzip);
+
+/** @type {zlib.BrotliOptions} */
+const BROTLI_OPTIONS = {
+  params: {
+    [zlib.constants.BROTLI_PARAM_QUALITY]: zlib.constants.BROTLI_MAX_QUALITY,
+    [zlib.constants.BROTLI_PARAM_MODE]: zlib.constants.BROTLI_MODE_TEXT,
+  },
+};
+const GZIP_OPTIONS = { level: zlib.constants.Z_BEST_COMPRESSION };
+
+// zstd landed in node:zlib in Node 22.15 / 23.8
+const zlibZstd = /** @type {any} */ (zlib);
+const hasZstd = typeof zlibZstd.zstdCompressSync === "function";
+
+/** @type {Record<string, Encoding>} */
+export const ENCODINGS = {
+  br: {
+    name: "br",
+    contentEncoding: "br",
+    suffix: ".br",
+    compress: (buffer) => brotliCompress(buffer, BROTLI_OPTIONS),
+    compressSync: (buffer) => zlib.brotliCompressSync(buffer, BROTLI_OPTIONS),
+    createStream: () => zlib.createBrotliCompress(BROTLI_OPTIONS),
+  },
+  gzip: {
+    name: "gzip",
+    contentEncoding: "gzip",
+    suffix: ".gz",
+    compress: (buffer) => gzip(buffer, GZIP_OPTIONS),
+    compressSync: (buffer) => zlib.gzipSync(buffer, GZIP_OPTIONS),
+    createStream: () => zlib.createGzip(GZIP_OPTIONS),
+  },
+  ...(hasZstd
+    ? {
+        zstd: {
+          name: "zstd",
+          contentEncoding: "zstd",
+          suffix: ".zst",
+          compress: promisify(zlibZstd.zstdCompress),
+          compressSync: zlibZstd.zstdCompressSync,
+          createStream: () => zlibZstd.createZstdCompress(),
+        },
+      }
+    : {}),
+};
+
+/**
+ * Parse a comma-separated list of encodings, e.g. "br,gzip". The first one
+ * is the primary encoding, stored in place under the .json name; the others
+ * are stored next to it as .json.gz / .json.zst.
+ * @param {string | undefined} value
+ * @returns {Encoding[]}
+ */
+export function parseEncodings(value) {
+  const names = (value || "br")
+    .split(",")
+    .map((n) => n.trim())
+    .filter(Boolean);
+  /** @type {Encoding[]} */
+  const encodings = [];
+  for (const name of names) {
+    if (name === "zstd" && !hasZstd) {
+      console.warn(`⚠️  zstd needs Node 22.15 or newer, skipping it`);
+      continue;
+    }
+    const encoding = ENCODINGS[name];
+    if (!encoding) {
+      throw new Error(
+        `Unknown encoding "${name}", expected one of: br, gzip, zstd`,
+      );
+    }
+    if (!encodings.includes(encoding)) encodings.push(encoding);
+  }
+  if (encodings.length === 0) {
+    throw new Error("At least one encoding is required");
+  }
+  return encodings;
+}
+
+/**
+ * Encodings configured with ENCODINGS (default: br)
+ */
+export function encodingsFromEnv() {
+  return parseEncodings(process.env.ENCODINGS);
+}
+
+const UTF8_BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+
+/**
+ * Drop a UTF-8 byte order mark, which JSON.parse rejects
+ * @param {Buffer} buffer
+ */
+function stripBom(buffer) {
+  return buffer.subarray(0, 3).equals(UTF8_BOM) ? buffer.subarray(3) : buffer;
+}
+
+/**
+ * Whether a buffer starts like plain JSON, past any BOM or leading whitespace
+ * @param {Buffer} buffer
+ */
+function isPlainJson(buffer) {
+  const text = stripBom(buffer);
+  // Skip space, tab, LF and CR, then look for ASCII '{' (0x7B) or '[' (0x5B)
+  const start = text.findIndex(
+    (b) => b !== 0x20 && b !== 0x09 && b !== 0x0a && b !== 0x0d,
+  );
+  return start !== -1 && (text[start] === 0x7b || text[start] === 0x5b);
+}
+
+/**
+ * Decode a buffer as Brotli, which has no magic bytes to check for
+ * @param {Buffer} buffer
+ * @returns {Buffer | null} null when it isn't valid Brotli
+ */
+function tryBrotliDecompress(buffer) {
+  try {
+    return zlib.brotliDecompressSync(buffer);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Detect how a stored JSON file is encoded: gzip and zstd by their magic
+ * bytes, Brotli (which has none) by decoding it, "identity" for anything else
+ * @param {Buffer} buffer
+ * @returns {"identity" | "br" | "gzip" | "zstd"}
+ */
+export function detectEncoding(buffer) {
+  if (isPlainJson(buffer)) return "identity";
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) return "gzip";
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0xfd2fb528) {
+    return "zstd";
+  }
+  return tryBrotliDecompress(buffer) ? "br" : "identity";
+}
+
+/**
+ * Decode a stored JSON file, whatever its encoding. Plain files come back
+ * without their BOM, if any.
+ * @param {Buffer} buffer
+ * @returns {Buffer}
+ */
+export function decodeBuffer(buffer) {
+  if (isPlainJson(buffer)) return stripBom(buffer);
+  if (buffer[0] === 0x1f && buffer[1] === 0x8b) return zlib.gunzipSync(buffer);
+  if (buffer.length >= 4 && buffer.readUInt32LE(0) === 0xfd2fb528) {
+    if (!hasZstd) throw new Error("zstd needs Node 22.15 or newer");
+    return zlibZstd.zstdDecompressSync(buffer);
+  }
+  return tryBrotliDecompress(buffer) ?? stripBom(buffer);
+}
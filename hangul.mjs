@@ -0,0 +1,47 @@
+// @ts-check
+
+// Jamo in Unicode syllable order, Revised Romanization of Korean
+const INITIALS = [
+  "g", "kk", "n", "d", "tt", "r", "m", "b", "pp", "s", "ss", "", "j", "jj",
+  "ch", "k", "t", "p", "h",
+];
+const MEDIALS = [
+  "a", "ae", "ya", "yae", "eo", "e", "yeo", "ye", "o", "wa", "wae", "oe", "yo",
+  "u", "wo", "we", "wi", "yu", "eu", "ui", "i",
+];
+const FINALS = [
+  "", "k", "k", "k", "n", "n", "n", "t", "l", "k", "m", "l", "l", "l", "p",
+  "l", "m", "p", "p", "t", "t", "ng", "t", "t", "k", "t", "p", "t",
+];
+
+const FIRST = 0xac00;
+const LAST = 0xd7a3;
+
+/**
+ * Romanize Hangul syllables one by one (no sound-change rules across
+ * syllables); other characters pass through
+ * @param {string} str
+ */
+export function romanizeHangul(str) {
+  let out = "";
+  for (const ch of str) {
+    const code = /** @type {number} */ (ch.codePointAt(0));
+    if (code < FIRST || code > LAST) {
+      out += ch;
+      continue;
+    }
+    const index = code - FIRST;
+    out +=
+      INITIALS[Math.floor(index / (21 * 28))] +
+      MEDIALS[Math.floor(index / 28) % 21] +
+      FINALS[index % 28];
+  }
+  return out;
+}
+
+/** @type {import("./transliterate.mjs").Transliterator} */
+export const hangul = {
+  scheme: "romaja",
+  langs: ["ko"],
+  romanize: romanizeHangul,
+};
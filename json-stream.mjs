@@ -0,0 +1,87 @@
+// @ts-check
+import fs from "fs";
+import path from "path";
+import { Readable } from "stream";
+import { pipeline } from "stream/promises";
+
+/**
+ * Serialize a value piece by piece, with the exact output of JSON.stringify.
+ * Objects and arrays down to `depth` levels are emitted member by member;
+ * anything deeper is stringified whole.
+ * @param {any} value - Must not be undefined at the top level
+ * @param {number} depth
+ * @returns {Generator<string>}
+ */
+export function* jsonChunks(value, depth) {
+  if (
+    depth <= 0 ||
+    value === null ||
+    typeof value !== "object" ||
+    typeof value.toJSON === "function"
+  ) {
+    yield JSON.stringify(value);
+    return;
+  }
+  /** @param {any} v */
+  const skipped = (v) =>
+    v === undefined || typeof v === "function" || typeof v === "symbol";
+
+  if (Array.isArray(value)) {
+    yield "[";
+    for (let i = 0; i < value.length; i++) {
+      if (i > 0) yield ",";
+      if (skipped(value[i])) yield "null";
+      else yield* jsonChunks(value[i], depth - 1);
+    }
+    yield "]";
+    return;
+  }
+
+  yield "{";
+  let first = true;
+  for (const [key, v] of Object.entries(value)) {
+    if (skipped(v)) continue;
+    yield `${first ? "" : ","}${JSON.stringify(key)}:`;
+    first = false;
+    yield* jsonChunks(v, depth - 1);
+  }
+  yield "}";
+}
+
+/**
+ * Group small chunks into buffers of about `size` bytes
+ * @param {Iterable<string>} chunks
+ * @param {number} size
+ */
+function* batched(chunks, size) {
+  let pending = "";
+  for (const chunk of chunks) {
+    pending += chunk;
+    if (pending.length >= size) {
+      yield Buffer.from(pending);
+      pending = "";
+    }
+  }
+  if (pending) yield Buffer.from(pending);
+}
+
+/**
+ * Stream a value to disk as JSON without building the whole string in memory,
+ * optionally compressing it on the way
+ * @param {string} filePath
+ * @param {any} value
+ * @param {object} [options]
+ * @param {number} [options.depth] - Levels streamed member by member, see jsonChunks
+ * @param {import("./encoding.mjs").Encoding} [options.encoding] - Compress with this encoding
+ */
+export async function writeJsonStream(filePath, value, options = {}) {
+  const { depth = 2, encoding } = options;
+  fs.mkdirSync(path.dirname(filePath), { recursive: true });
+  const source = Readable.from(batched(jsonChunks(value, depth), 1 << 16));
+  const target = fs.createWriteStream(filePath);
+  if (encoding) {
+    await pipeline(source, encoding.createStream(), target);
+  } else {
+    await pipeline(source, target);
+  }
+}
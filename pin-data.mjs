@@ -0,0 +1,105 @@
+// @ts-check
+/**
+ * Manage pinned builds, which pruning never removes
+ *
+ * Usage:
+ *   node pin-data.mjs list
+ *   node pin-data.mjs pin 2026-01-10 --reason="Guide permalink" [--expires=2027-01-01]
+ *   node pin-data.mjs unpin 2026-01-10
+ *
+ * Options:
+ *   --workspace=path/to/ws   # Default: data_workspace
+ *
+ * Pins live in pinned.json next to builds.json; builds.json gets its
+ * `pinned` flags refreshed on every change.
+ */
+import path from "path";
+import { getExistingBuilds, writeFile } from "./pipeline.mjs";
+import { isPinActive, markPinned, readPins, writePins } from "./pins.mjs";
+
+const DEFAULT_WORKSPACE = "data_workspace";
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const positional = args.filter((arg) => !arg.startsWith("--"));
+  const [command = "list", buildNumber] = positional;
+  /** @param {string} name */
+  const option = (name) => {
+    const arg = args.find((a) => a.startsWith(`--${name}=`));
+    return arg ? arg.slice(name.length + 3) : undefined;
+  };
+  return {
+    command,
+    buildNumber,
+    reason: option("reason"),
+    expires: option("expires") ?? null,
+    workspaceDir: option("workspace") ?? DEFAULT_WORKSPACE,
+  };
+}
+
+/**
+ * @param {string} message
+ */
+function fail(message) {
+  console.error(`❌ Error: ${message}`);
+  process.exit(1);
+}
+
+function main() {
+  const { command, buildNumber, reason, expires, workspaceDir } = parseArgs();
+  const now = new Date();
+  const pins = readPins(workspaceDir);
+
+  if (command === "list") {
+    if (pins.length === 0) {
+      console.log("No pinned builds");
+      return;
+    }
+    for (const pin of pins) {
+      const status = isPinActive(pin, now) ? "📌" : "⌛";
+      const until = pin.expires ? ` until ${pin.expires}` : "";
+      console.log(`${status} ${pin.build_number}${until}: ${pin.reason}`);
+    }
+    return;
+  }
+
+  if (command !== "pin" && command !== "unpin") {
+    fail(`Unknown command "${command}", expected list, pin or unpin`);
+  }
+  if (!buildNumber) fail(`Usage: node pin-data.mjs ${command} <build_number>`);
+
+  const builds = getExistingBuilds(workspaceDir);
+  const others = pins.filter((pin) => pin.build_number !== buildNumber);
+
+  if (command === "pin") {
+    if (
+      !builds.some((/** @type {any} */ b) => b.build_number === buildNumber)
+    ) {
+      fail(
+        `${buildNumber} is not in ${path.join(workspaceDir, "builds.json")}`,
+      );
+    }
+    if (!reason) fail("--reason is required");
+    if (expires !== null && !/^\d{4}-\d{2}-\d{2}$/.test(expires)) {
+      fail(`Invalid --expires date: ${expires}, expected YYYY-MM-DD`);
+    }
+    others.push({
+      build_number: buildNumber,
+      reason: /** @type {string} */ (reason),
+      expires,
+      pinned_at: now.toISOString(),
+    });
+    console.log(
+      `📌 Pinned ${buildNumber}${expires ? ` until ${expires}` : ""}`,
+    );
+  } else {
+    if (others.length === pins.length) fail(`${buildNumber} is not pinned`);
+    console.log(`Unpinned ${buildNumber}`);
+  }
+
+  writePins(workspaceDir, others);
+  markPinned(builds, others, now);
+  writeFile(workspaceDir, "builds.json", JSON.stringify(builds));
+}
+
+main();
@@ -0,0 +1,75 @@
+// @ts-check
+import fs from "fs";
+import path from "path";
+
+/**
+ * A build protected from pruning, e.g. because guide permalinks or bug
+ * reports reference it
+ * @typedef {Object} Pin
+ * @property {string} build_number
+ * @property {string} reason
+ * @property {string | null} expires - YYYY-MM-DD, pinned through that day; null for never
+ * @property {string} pinned_at - ISO timestamp
+ */
+
+export const PINS_FILE = "pinned.json";
+
+/**
+ * Read pinned.json from the workspace
+ * @param {string} workspaceDir
+ * @returns {Pin[]}
+ */
+export function readPins(workspaceDir) {
+  const pinsPath = path.join(workspaceDir, PINS_FILE);
+  if (!fs.existsSync(pinsPath)) return [];
+  return JSON.parse(fs.readFileSync(pinsPath, "utf8"));
+}
+
+/**
+ * @param {string} workspaceDir
+ * @param {Pin[]} pins
+ */
+export function writePins(workspaceDir, pins) {
+  const sorted = [...pins].sort((a, b) =>
+    a.build_number.localeCompare(b.build_number),
+  );
+  fs.writeFileSync(
+    path.join(workspaceDir, PINS_FILE),
+    JSON.stringify(sorted, null, 2) + "\n",
+  );
+}
+
+/**
+ * @param {Pin} pin
+ * @param {Date} now
+ */
+export function isPinActive(pin, now) {
+  if (!pin.expires) return true;
+  return now.toISOString().slice(0, 10) <= pin.expires;
+}
+
+/**
+ * Build numbers pinned as of `now`
+ * @param {Pin[]} pins
+ * @param {Date} now
+ * @returns {Set<string>}
+ */
+export function activePins(pins, now) {
+  return new Set(
+    pins.filter((pin) => isPinActive(pin, now)).map((pin) => pin.build_number),
+  );
+}
+
+/**
+ * Set `pinned` on every build of builds.json
+ * @param {any[]} builds
+ * @param {Pin[]} pins
+ * @param {Date} now
+ */
+export function markPinned(builds, pins, now) {
+  const pinned = activePins(pins, now);
+  for (const build of builds) {
+    build.pinned = pinned.has(build.build_number);
+  }
+  return builds;
+}
@@ -1,29 +1,31 @@
-import { pinyin } from "pinyin";
+import { pinyin as toSyllables } from "pinyin";
 
-export function toPinyin(data, lang) {
-  const names = data
-    .map(x => x.name)
-    .filter(x => x)
-    .flatMap(x =>
-      typeof x === 'string' ? [x] : [x.str, x.str_sp, x.str_pl].filter(x => x)
-    );
-
-  const pinyinJson = {};
-  pinyinJson[""] = lang[""];
-  for (const name of names) {
-    const translation = lang[name];
-    if (translation) {
-      pinyinJson[name] = Array.isArray(translation) ? translation.map(pinyinify) : pinyinify(translation)
-    }
-  }
+function syllables(str) {
+  return toSyllables(str, {
+    style: toSyllables.STYLE_NORMAL,
+    segment: true,
+  }).map(x => x.join(" "))
+}
 
-  return pinyinJson
+export function pinyinify(str) {
+  return syllables(str).join(" ")
 }
 
-function pinyinify(str) {
-  return pinyin(str, {
-    style: pinyin.STYLE_NORMAL,
-    segment: true,
-  }).map(x => x.join(" ")).join(" ")
+// Initials of the syllables, e.g. 手机包 -> "sjb", so "sjb" finds it too.
+// Single syllables get none.
+function initials(str) {
+  const words = syllables(str)
+    .flatMap(x => x.split(" "))
+    .map(x => x.trim())
+    .filter(x => /^[\p{L}\p{N}]/u.test(x))
+  if (words.length < 2) return ""
+  return words.map(x => x[0].toLowerCase()).join("")
 }
 
+/** @type {import("./transliterate.mjs").Transliterator} */
+export const pinyin = {
+  scheme: "pinyin",
+  langs: ["zh"],
+  romanize: pinyinify,
+  initials,
+}
@@ -1,10 +1,34 @@
 // @ts-check
 import AdmZip from "adm-zip";
 import minimatch from "minimatch";
-import { execSync } from "child_process";
+import { exec as execCallback, execSync } from "child_process";
+import crypto from "crypto";
 import fs from "fs";
+import os from "os";
 import path from "path";
-import { toPinyin } from "./pinyin.mjs";
+import { promisify } from "util";
+import {
+  findTransliterator,
+  transliterateCatalogue,
+  transliteratedForms,
+} from "./transliterate.mjs";
+import { resolveGameData } from "./resolve.mjs";
+import { loadSchemas, validateObjects } from "./validate.mjs";
+import {
+  buildSpriteIndex,
+  parseTilesetName,
+  rewriteSheetFiles,
+} from "./tileset.mjs";
+import { buildSearchIndex, tokenize } from "./search.mjs";
+import { collectDataStrings, computeCoverage } from "./coverage.mjs";
+import {
+  ENCODINGS,
+  decodeBuffer,
+  detectEncoding,
+  encodingsFromEnv,
+} from "./encoding.mjs";
+import { writeJsonStream } from "./json-stream.mjs";
+import { buildHeaders, buildRedirects, computeAliases } from "./serving.mjs";
 import po2json from "po2json";
 
 /**
@@ -35,11 +59,81 @@ export function exec(cmd, options = {}) {
   }
 }
 
+const execAsync = promisify(execCallback);
+
+/**
+ * Default number of concurrent conversion/compression jobs: one per CPU
+ */
+export function defaultJobs() {
+  return os.availableParallelism?.() ?? os.cpus().length;
+}
+
+/**
+ * Parse a --jobs= value, defaulting to one job per CPU
+ * @param {string | undefined} value
+ * @returns {number}
+ */
+export function parseJobs(value) {
+  if (value === undefined) return defaultJobs();
+  if (!/^\d+$/.test(value) || Number(value) < 1) {
+    throw new Error(
+      `Invalid --jobs value "${value}", expected a positive integer`,
+    );
+  }
+  return Number(value);
+}
+
+/**
+ * Run an async worker over items with at most `jobs` in flight
+ * @template T, R
+ * @param {T[]} items
+ * @param {(item: T) => Promise<R>} worker
+ * @param {object} [options]
+ * @param {number} [options.jobs]
+ * @param {(done: number, total: number) => void} [options.onProgress]
+ * @returns {Promise<R[]>} results in item order
+ */
+export async function runPool(items, worker, options = {}) {
+  const { jobs, onProgress } = options;
+  const lanes =
+    jobs !== undefined && Number.isFinite(jobs) && jobs >= 1
+      ? Math.floor(jobs)
+      : defaultJobs();
+  /** @type {R[]} */
+  const results = new Array(items.length);
+  let next = 0;
+  let done = 0;
+  const lane = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await worker(items[i]);
+      onProgress?.(++done, items.length);
+    }
+  };
+  await Promise.all(
+    Array.from({ length: Math.max(1, Math.min(lanes, items.length)) }, lane),
+  );
+  return results;
+}
+
+/**
+ * An object skipped by tolerant ingestion
+ * @typedef {Object} IngestError
+ * @property {string} file - Path inside the zipball, without the root directory
+ * @property {number} start - First line of the object
+ * @property {number} end - Last line of the object
+ * @property {string} message - Parse error
+ */
+
 /**
  * Breaks a large JSON string into single objects and adds __filename with line numbers.
  * @param {string} str
+ * @param {object} [options]
+ * @param {string} [options.file] - Source file, for error messages
+ * @param {IngestError[]} [options.errors] - Tolerant mode: record objects that fail to parse here and skip them instead of throwing
  */
-export function breakJSONIntoSingleObjects(str) {
+export function breakJSONIntoSingleObjects(str, options = {}) {
+  const { file = "<unknown>", errors } = options;
   const objs = [];
   let depth = 0;
   let line = 1;
@@ -66,11 +160,25 @@ export function breakJSONIntoSingleObjects(str) {
       } else if (c === "}") {
         depth--;
         if (depth === 0) {
-          objs.push({
-            obj: JSON.parse(str.slice(start, i + 1)),
-            start: startLine,
-            end: line,
-          });
+          let obj;
+          try {
+            obj = JSON.parse(str.slice(start, i + 1));
+          } catch (e) {
+            const error = {
+              file,
+              start: startLine,
+              end: line,
+              message: /** @type {Error} */ (e).message,
+            };
+            if (!errors) {
+              throw new Error(
+                `${file}#L${error.start}-L${error.end}: ${error.message}`,
+              );
+            }
+            errors.push(error);
+            continue;
+          }
+          objs.push({ obj, start: startLine, end: line });
         }
       } else if (c === '"') {
         inString = true;
@@ -79,9 +187,59 @@ export function breakJSONIntoSingleObjects(str) {
       }
     }
   }
+  if (depth > 0 && errors) {
+    errors.push({
+      file,
+      start: startLine,
+      end: line,
+      message: "Unexpected end of file inside an object",
+    });
+  }
   return objs;
 }
 
+/**
+ * Error collector for collateAllJson and processMods: tolerant unless
+ * STRICT_INGEST=true, in which case the first malformed object aborts the build
+ * @returns {IngestError[] | undefined}
+ */
+export function ingestErrorsFromEnv() {
+  return process.env.STRICT_INGEST === "true" ? undefined : [];
+}
+
+/**
+ * Log the objects skipped while ingesting a build and write them to
+ * ingest-errors.json. A clean build gets no report, and loses the one left
+ * by an earlier ingest.
+ * @param {string} buildDir
+ * @param {IngestError[] | undefined} errors
+ * @param {boolean} dryRun
+ */
+export function writeIngestErrors(buildDir, errors, dryRun) {
+  if (!errors) return;
+  if (errors.length === 0) {
+    if (!dryRun) {
+      const reportPath = path.join(buildDir, "ingest-errors.json");
+      const suffixes = Object.values(ENCODINGS).map((e) => e.suffix);
+      for (const suffix of ["", ...suffixes]) {
+        fs.rmSync(reportPath + suffix, { force: true });
+      }
+    }
+    return;
+  }
+  const files = new Set(errors.map((e) => e.file));
+  console.group(
+    `⚠️  Skipped ${errors.length} malformed objects in ${files.size} files`,
+  );
+  for (const e of errors) {
+    console.log(`${e.file}#L${e.start}-L${e.end}: ${e.message}`);
+  }
+  console.groupEnd();
+  if (!dryRun) {
+    writeFile(buildDir, "ingest-errors.json", JSON.stringify(errors));
+  }
+}
+
 /**
  * Write file to disk, creating parent directories as needed
  * @param {string} baseDir
@@ -107,6 +265,15 @@ export function getExistingBuilds(workspaceDir) {
   return [];
 }
 
+/**
+ * Read a JSON file from the workspace, transparently decompressing Brotli
+ * (published builds store their JSON precompressed under the .json name)
+ * @param {string} filePath
+ */
+export function readJsonFile(filePath) {
+  return JSON.parse(decodeBuffer(fs.readFileSync(filePath)).toString("utf8"));
+}
+
 /**
  * Strip 'gfx/' prefix from file path if present
  * @param {string} filePath
@@ -117,55 +284,146 @@ export function stripGfxPrefix(filePath) {
 }
 
 /**
- * Create a generator function that yields filtered zip entries
+ * @typedef {Object} ZipTrieNode
+ * @property {Map<string, ZipTrieNode>} children
+ * @property {number} index - Position of the file in the archive, -1 for directories
+ * @property {any} [entry] - AdmZip entry, for files
+ */
+
+/** @returns {ZipTrieNode} */
+function createTrieNode() {
+  return { children: new Map(), index: -1 };
+}
+
+/**
+ * Index the files of an archive by path segment
+ * @param {any[]} entries - AdmZip entries
+ */
+function buildZipTrie(entries) {
+  const root = createTrieNode();
+  entries.forEach((entry, index) => {
+    if (entry.isDirectory) return;
+    let node = root;
+    for (const segment of entry.entryName.replaceAll("\\", "/").split("/")) {
+      if (!segment) continue;
+      let child = node.children.get(segment);
+      if (!child) {
+        child = createTrieNode();
+        node.children.set(segment, child);
+      }
+      node = child;
+    }
+    node.index = index;
+    node.entry = entry;
+  });
+  return root;
+}
+
+/**
+ * Collect the files under a trie node matching the remaining glob segments.
+ * Literal segments are direct lookups; other segments are matched against the
+ * node's children only. `**` spans any number of directories, except dot
+ * directories, as in minimatch.
+ * @param {ZipTrieNode} node
+ * @param {string[]} segments
+ * @param {number} i
+ * @param {Set<ZipTrieNode>} out
+ */
+function matchTrie(node, segments, i, out) {
+  if (i === segments.length) {
+    if (node.entry) out.add(node);
+    return;
+  }
+  const segment = segments[i];
+  if (segment === "**") {
+    matchTrie(node, segments, i + 1, out);
+    for (const [name, child] of node.children) {
+      if (!name.startsWith(".")) matchTrie(child, segments, i, out);
+    }
+  } else if (!/[*?[\]{}()!+@]/.test(segment)) {
+    const child = node.children.get(segment);
+    if (child) matchTrie(child, segments, i + 1, out);
+  } else {
+    for (const [name, child] of node.children) {
+      if (minimatch(name, segment)) matchTrie(child, segments, i + 1, out);
+    }
+  }
+}
+
+/**
+ * Create a generator function that yields filtered zip entries.
+ *
+ * Entries are indexed once into a path trie, so each glob only visits the
+ * directories its pattern can match; file contents are decompressed only when
+ * data() or raw() is called. Matches are yielded in archive order.
+ *
+ * The function's `commit` property is the commit the zipball was made from:
+ * GitHub stores the full SHA in the zip comment, and the root directory
+ * (owner-repo-<short sha>) is the fallback.
  * @param {Buffer} zipBuffer
- * @returns {(pattern: string) => Generator<{name: string, data: () => string, raw: () => Buffer}>}
+ * @returns {((pattern: string) => Generator<{name: string, data: () => string, raw: () => Buffer}>) & { commit: string | null }}
  */
 export function createGlobFn(zipBuffer) {
   const z = new AdmZip(zipBuffer);
+  /** @type {ZipTrieNode | null} */
+  let trie = null;
   /** @param {string} pattern */
   function* glob(pattern) {
-    for (const f of z.getEntries()) {
-      if (f.isDirectory) continue;
-      if (minimatch(f.entryName, pattern)) {
-        yield {
-          name: f.entryName.replaceAll("\\", "/").split("/").slice(1).join("/"),
-          data: () => f.getData().toString("utf8"),
-          raw: () => f.getData(),
-        };
-      }
+    trie ??= buildZipTrie(z.getEntries());
+    /** @type {Set<ZipTrieNode>} */
+    const matches = new Set();
+    matchTrie(trie, pattern.split("/").filter(Boolean), 0, matches);
+    const files = [...matches].sort((a, b) => a.index - b.index);
+    for (const { entry: f } of files) {
+      yield {
+        name: f.entryName.replaceAll("\\", "/").split("/").slice(1).join("/"),
+        data: () => f.getData().toString("utf8"),
+        raw: () => f.getData(),
+      };
     }
   }
-  return glob;
+  return Object.assign(glob, { commit: getZipCommit(z) });
 }
 
 /**
- * Check if a file is already compressed using a hybrid approach
+ * @param {AdmZip} z
+ * @returns {string | null}
+ */
+function getZipCommit(z) {
+  const comment = z.getZipComment().trim();
+  if (/^[0-9a-f]{40}$/.test(comment)) return comment;
+  const root = z.getEntries()[0]?.entryName.split("/")[0] ?? "";
+  const match = root.match(/-([0-9a-f]{7,40})$/);
+  return match ? match[1] : null;
+}
+
+/**
+ * Check if a file is already compressed
  * @param {string} filePath
+ * @param {string} [encoding] - Only accept this encoding (br, gzip, zstd)
  */
-export function isCompressed(filePath) {
+export function isCompressed(filePath, encoding) {
   if (!fs.existsSync(filePath)) return false;
+  const detected = detectEncoding(fs.readFileSync(filePath));
+  if (encoding) return detected === encoding;
+  return detected !== "identity";
+}
 
-  try {
-    // Fast Path: Check if it looks like uncompressed JSON
-    // We read a small buffer to check for '{' or '['
-    const fd = fs.openSync(filePath, "r");
-    const buffer = Buffer.alloc(1);
-    fs.readSync(fd, buffer, 0, 1, 0);
-    fs.closeSync(fd);
-
-    const firstByte = buffer[0];
-    // ASCII '{' is 0x7B, '[' is 0x5B
-    if (firstByte === 0x7b || firstByte === 0x5b) {
-      return false;
-    }
-
-    // Slow Path: Fallback to brotli -t for confirmation
-    execSync(`brotli -t "${filePath}"`, { stdio: "ignore" });
-    return true;
-  } catch (e) {
-    return false;
-  }
+/**
+ * Check if a JSON file is stored in exactly the configured encodings: the
+ * primary one in place, a variant for each other one, and no variant left
+ * over from an encoding no longer configured
+ * @param {string} filePath
+ * @param {import("./encoding.mjs").Encoding[]} encodings - Primary first
+ */
+export function isStoredAs(filePath, encodings) {
+  const [primary, ...variants] = encodings;
+  return (
+    isCompressed(filePath, primary.name) &&
+    Object.values(ENCODINGS).every(
+      (e) => variants.includes(e) === fs.existsSync(filePath + e.suffix),
+    )
+  );
 }
 
 /**
@@ -173,10 +431,10 @@ export function isCompressed(filePath) {
  * @param {string} pngPath
  * @param {boolean} dryRun
  * @param {boolean} [force]
- * @returns {boolean} success
+ * @returns {Promise<boolean>} success
  */
-export function convertToWebp(pngPath, dryRun, force = false) {
-  const webpPath = pngPath.replace(/\.png$/, ".webp");
+export async function convertToWebp(pngPath, dryRun, force = false) {
+  const webpPath = pngPath.replace(/\.png$/i, ".webp");
 
   if (fs.existsSync(webpPath) && !force) {
     return true;
@@ -187,9 +445,7 @@ export function convertToWebp(pngPath, dryRun, force = false) {
   }
 
   try {
-    execSync(`cwebp -preset icon "${pngPath}" -o "${webpPath}"`, {
-      stdio: "ignore",
-    });
+    await execAsync(`cwebp -preset icon "${pngPath}" -o "${webpPath}"`);
     fs.unlinkSync(pngPath);
     return true;
   } catch (error) {
@@ -198,6 +454,54 @@ export function convertToWebp(pngPath, dryRun, force = false) {
   }
 }
 
+/**
+ * Convert PNGs to WebP on a bounded pool of cwebp processes
+ * @param {string[]} pngFiles
+ * @param {boolean} dryRun
+ * @param {object} [options]
+ * @param {boolean} [options.force]
+ * @param {number} [options.jobs]
+ */
+export async function convertPngs(pngFiles, dryRun, options = {}) {
+  const { force = false, jobs } = options;
+  const pending = pngFiles.filter(
+    (f) => force || !fs.existsSync(f.replace(/\.png$/i, ".webp")),
+  );
+  const results = await runPool(
+    pending,
+    (f) => convertToWebp(f, dryRun, force),
+    { jobs, onProgress: logProgress },
+  );
+  const converted = results.filter(Boolean).length;
+  return {
+    converted,
+    failed: results.length - converted,
+    skipped: pngFiles.length - pending.length,
+  };
+}
+
+/**
+ * Log pool progress every 500 items, for long conversions
+ * @param {number} done
+ * @param {number} total
+ */
+function logProgress(done, total) {
+  if (done % 500 === 0 && done < total) {
+    console.log(`    … ${done}/${total}`);
+  }
+}
+
+/**
+ * List files with an extension under a directory, as paths joined to it
+ * @param {string} dir
+ * @param {string} ext - e.g. ".png"
+ */
+export function listFilesByExt(dir, ext) {
+  return listFilesRecursive(dir)
+    .filter((f) => f.toLowerCase().endsWith(ext))
+    .map((f) => path.join(dir, f));
+}
+
 /**
  * Clean up po2json output
  * @param {Record<string, any>} jsonData
@@ -226,8 +530,7 @@ export function postprocessPoJson(jsonData) {
  * @param {string} buildDir - Base directory for the build (e.g. data_workspace/data/TAG)
  * @param {boolean} dryRun
  * @param {object} [options]
- * @param {boolean} [options.convertPNG] - Whether to convert PNG to WebP immediately (for backfill script)
- * @param {boolean} [options.force] - Force conversion even if WebP exists
+ * @param {boolean} [options.force] - Extract PNGs even if their WebP exists
  */
 export function extractExternalTilesets(
   globFn,
@@ -235,12 +538,10 @@ export function extractExternalTilesets(
   dryRun,
   options = {},
 ) {
-  const { convertPNG = false, force = false } = options;
+  const { force = false } = options;
   const externalGfxEntries = [...globFn("*/data/json/external_tileset/**/*")];
 
   let extracted = 0;
-  let converted = 0;
-  let failed = 0;
 
   if (externalGfxEntries.length > 0) {
     console.log(
@@ -248,6 +549,14 @@ export function extractExternalTilesets(
     );
   }
 
+  if (!dryRun) {
+    writeExternalSpriteIndex(
+      buildDir,
+      externalGfxEntries,
+      getBaseTileInfos(globFn),
+    );
+  }
+
   for (const entry of externalGfxEntries) {
     // entry.name is something like "BN-source-dir/data/json/external_tileset/Aftershock_normal.png"
     // After createGlobFn processing, name is something like "data/json/external_tileset/Aftershock_normal.png"
@@ -260,24 +569,98 @@ export function extractExternalTilesets(
     if (!isPng) continue;
 
     const targetPath = `gfx/external_tileset/${relPath}`;
-    const webpPath = path.join(buildDir, targetPath.replace(/\.png$/, ".webp"));
+    const webpPath = path.join(
+      buildDir,
+      targetPath.replace(/\.png$/i, ".webp"),
+    );
 
     if (!dryRun) {
       // Don't write PNG if WebP already exists (saves disk space and prevents git noise)
       if (!fs.existsSync(webpPath) || force) {
         writeFile(buildDir, targetPath, entry.raw());
         extracted++;
-        if (convertPNG) {
-          if (convertToWebp(path.join(buildDir, targetPath), dryRun, force)) {
-            converted++;
-          } else {
-            failed++;
-          }
-        }
       }
     }
   }
-  return { extracted, converted, failed, count: externalGfxEntries.length };
+  return { extracted, count: externalGfxEntries.length };
+}
+
+/**
+ * Map base tileset names to the tile_info of their tile_config.json. Names
+ * come from each tileset's tileset.txt, falling back to its directory name.
+ * @param {ReturnType<createGlobFn>} globFn
+ * @returns {Map<string, any>}
+ */
+function getBaseTileInfos(globFn) {
+  /** @type {Map<string, any>} */
+  const tileInfos = new Map();
+  for (const entry of globFn("*/gfx/*/tile_config.json")) {
+    const dir = path.posix.dirname(entry.name);
+    let tileInfo;
+    try {
+      tileInfo = JSON.parse(entry.data()).tile_info?.[0];
+    } catch (e) {
+      continue;
+    }
+    if (!tileInfo) continue;
+    const [txt] = globFn(`*/${dir}/tileset.txt`);
+    const name = txt ? parseTilesetName(txt.data()) : null;
+    tileInfos.set(name ?? path.posix.basename(dir), tileInfo);
+  }
+  return tileInfos;
+}
+
+/**
+ * Write gfx/external_tileset/sprites.json covering every mod_tileset defined
+ * in data/json/external_tileset
+ * @param {string} buildDir
+ * @param {{ name: string, data: () => string, raw: () => Buffer }[]} entries
+ * @param {Map<string, any>} baseTileInfos - From getBaseTileInfos
+ */
+function writeExternalSpriteIndex(buildDir, entries, baseTileInfos) {
+  const byPath = new Map(
+    entries.map((e) => [e.name.split("/").slice(3).join("/"), e]),
+  );
+  const tilesets = [];
+  for (const [relPath, entry] of byPath) {
+    if (!relPath.endsWith(".json")) continue;
+    let objs;
+    try {
+      objs = [JSON.parse(entry.data())].flat();
+    } catch (e) {
+      console.warn(`    ⚠️  Could not parse external tileset ${relPath}`);
+      continue;
+    }
+    const dir = path.posix.dirname(relPath);
+    for (const obj of objs) {
+      if (obj?.type !== "mod_tileset") continue;
+      // mod_tileset has no tile_info, its sprites are sized like the base tileset's
+      const compatibility = obj.compatibility ?? [];
+      const tileInfo = compatibility
+        .map((/** @type {string} */ name) => baseTileInfos.get(name))
+        .find(Boolean);
+      const { index, missing } = buildSpriteIndex(
+        obj,
+        (file) => byPath.get(path.posix.join(dir, file))?.raw(),
+        tileInfo,
+      );
+      for (const file of missing) {
+        console.warn(`    ⚠️  ${relPath}: sprite sheet ${file} not found`);
+      }
+      tilesets.push({
+        source: relPath,
+        compatibility: obj.compatibility ?? [],
+        ...index,
+      });
+    }
+  }
+  if (tilesets.length > 0) {
+    writeFile(
+      buildDir,
+      "gfx/external_tileset/sprites.json",
+      JSON.stringify({ tilesets }),
+    );
+  }
 }
 
 /**
@@ -285,9 +668,23 @@ export function extractExternalTilesets(
  * @param {ReturnType<createGlobFn>} globFn
  * @param {string} buildDir
  * @param {boolean} dryRun
- * @param {any[]} data - All game objects for pinyin mapping
+ * @param {any[]} data - All game objects for transliteration
+ * @param {Record<string, any>} [dataMods] - Mod objects from processMods, also transliterated
+ * @returns {Promise<{ langs: string[], coverage: Record<string, number> }>} languages and their translated percentage
  */
-export async function processLangs(globFn, buildDir, dryRun, data) {
+export async function processLangs(
+  globFn,
+  buildDir,
+  dryRun,
+  data,
+  dataMods = {},
+) {
+  const allObjects = data.concat(
+    ...Object.values(dataMods).map((mod) => mod.data),
+  );
+  const dataStrings = collectDataStrings(allObjects);
+  /** @type {Record<string, ReturnType<typeof computeCoverage>>} */
+  const coverageByLang = {};
   const langs = (
     await Promise.all(
       [...globFn("*/lang/po/*.po")].map(async (f) => {
@@ -295,21 +692,89 @@ export async function processLangs(globFn, buildDir, dryRun, data) {
         // @ts-ignore
         const json = postprocessPoJson(po2json.parse(f.data()));
         const jsonStr = JSON.stringify(json);
+        coverageByLang[lang] = computeCoverage(data, dataMods, json);
 
         if (!dryRun) {
           writeFile(buildDir, `lang/${lang}.json`, jsonStr);
+          writeFile(
+            buildDir,
+            `lang/${lang}.data.json`,
+            JSON.stringify(trimCatalogue(json, dataStrings)),
+          );
 
-          if (lang.startsWith("zh_")) {
-            const pinyinMap = toPinyin(data, json);
-            const pinyinStr = JSON.stringify(pinyinMap);
-            writeFile(buildDir, `lang/${lang}_pinyin.json`, pinyinStr);
+          const transliterator = findTransliterator(lang);
+          if (transliterator) {
+            for (const [suffix, form] of transliteratedForms(transliterator)) {
+              const romanized = transliterateCatalogue(
+                form,
+                allObjects,
+                json,
+                lang,
+              );
+              writeFile(
+                buildDir,
+                `lang/${lang}_${suffix}.json`,
+                JSON.stringify(romanized),
+              );
+            }
           }
+
+          writeSearchIndex(buildDir, lang, data, json);
         }
         return lang;
       }),
     )
   ).filter(Boolean);
-  return { langs };
+
+  /** @type {Record<string, number>} */
+  const coverage = {};
+  for (const lang of [...langs].sort()) {
+    coverage[lang] = coverageByLang[lang].percent;
+  }
+
+  if (!dryRun) {
+    writeSearchIndex(buildDir, "en", data, {});
+    writeFile(buildDir, "lang/coverage.json", JSON.stringify(coverageByLang));
+  }
+  return { langs, coverage };
+}
+
+/**
+ * Restrict a catalogue to the msgids used by game data, keeping the header
+ * @param {Record<string, any>} json - Catalogue from postprocessPoJson
+ * @param {Set<string>} dataStrings - From collectDataStrings
+ */
+function trimCatalogue(json, dataStrings) {
+  return Object.fromEntries(
+    Object.entries(json).filter(([key]) => key === "" || dataStrings.has(key)),
+  );
+}
+
+/**
+ * Write search/<lang>.json, a token index over translated object names.
+ * Languages with a transliterator are also indexed by the romanized words,
+ * both separately and run together (e.g. pinyin syllables).
+ * @param {string} buildDir
+ * @param {string} lang
+ * @param {any[]} data
+ * @param {Record<string, any>} json - Catalogue from postprocessPoJson
+ */
+function writeSearchIndex(buildDir, lang, data, json) {
+  const transliterator = findTransliterator(lang);
+  const index = buildSearchIndex(
+    data,
+    json,
+    transliterator &&
+      ((name) => {
+        const words = tokenize(transliterator.romanize(name, lang));
+        return words.length > 1 ? [...words, words.join("")] : words;
+      }),
+  );
+  writeFile(
+    buildDir,
+    `search/${lang}.json`,
+    JSON.stringify({ lang, ...index }),
+  );
 }
 
 /**
@@ -320,40 +785,170 @@ export async function processLangs(globFn, buildDir, dryRun, data) {
  * @param {any} release
  * @param {Record<string, any>} dataMods - Mod info mapping
  * @param {boolean} dryRun
+ * @param {object} [options]
+ * @param {import("./encoding.mjs").Encoding} [options.encoding] - Compress all.json while writing it
+ * @param {IngestError[]} [options.errors] - Skip malformed objects and record them here, see breakJSONIntoSingleObjects
  */
-export function collateAllJson(
+export async function collateAllJson(
   globFn,
   buildDir,
   tag_name,
   release,
   dataMods,
   dryRun,
+  options = {},
 ) {
   const data = [];
+  const pngExists = createDataPngLookup(globFn);
   for (const f of globFn("*/data/json/**/*.json")) {
     const filename = f.name;
-    const objs = breakJSONIntoSingleObjects(f.data());
+    const objs = breakJSONIntoSingleObjects(f.data(), {
+      file: filename,
+      errors: options.errors,
+    });
     for (const { obj, start, end } of objs) {
-      obj.__filename = filename + `#L${start}-L${end}`;
-      data.push(obj);
+      const published = publishModTileset(obj, filename, pngExists);
+      published.__filename = filename + `#L${start}-L${end}`;
+      data.push(published);
     }
   }
 
-  const allJson = JSON.stringify({
-    build_number: tag_name,
-    release,
-    data,
-    mods: Object.fromEntries(
-      Object.entries(dataMods).map(([name, mod]) => [name, mod.info]),
-    ),
-  });
-
   if (!dryRun) {
-    fs.writeFileSync(path.join(buildDir, "all.json"), allJson);
+    // Streamed object by object, all.json is too large to stringify at once
+    await writeJsonStream(
+      path.join(buildDir, "all.json"),
+      {
+        build_number: tag_name,
+        release,
+        data,
+        mods: Object.fromEntries(
+          Object.entries(dataMods).map(([name, mod]) => [name, mod.info]),
+        ),
+      },
+      { encoding: options.encoding },
+    );
+    writeTypeShards(buildDir, tag_name, data);
   }
   return { count: data.length, data };
 }
 
+/**
+ * Split game data into types/<type>.json shards plus a types/index.json manifest
+ * @param {string} buildDir
+ * @param {string} tag_name
+ * @param {any[]} data
+ */
+export function writeTypeShards(buildDir, tag_name, data) {
+  /** @type {Map<string, any[]>} */
+  const byType = new Map();
+  for (const obj of data) {
+    const type = typeof obj.type === "string" ? obj.type : "_untyped";
+    if (!byType.has(type)) byType.set(type, []);
+    /** @type {any[]} */ (byType.get(type)).push(obj);
+  }
+
+  /** @type {Record<string, { file: string, count: number, bytes: number }>} */
+  const index = {};
+  for (const [type, objs] of byType) {
+    const file = `${type.replace(/[^A-Za-z0-9_-]/g, "_")}.json`;
+    const json = JSON.stringify({ build_number: tag_name, type, data: objs });
+    writeFile(buildDir, `types/${file}`, json);
+    index[type] = {
+      file,
+      count: objs.length,
+      bytes: Buffer.byteLength(json),
+    };
+  }
+  writeFile(buildDir, "types/index.json", JSON.stringify(index));
+  return index;
+}
+
+/**
+ * Write all_resolved.json with copy-from, extend, delete, relative and
+ * proportional applied to base game and mod objects
+ * @param {string} buildDir
+ * @param {string} tag_name
+ * @param {any[]} data
+ * @param {Record<string, { info: any, data: any[] }>} dataMods
+ * @param {boolean} dryRun
+ */
+export async function writeResolvedJson(
+  buildDir,
+  tag_name,
+  data,
+  dataMods,
+  dryRun,
+) {
+  const resolved = resolveGameData(data, dataMods);
+  console.log(
+    `Resolved ${resolved.data.length} objects, ${resolved.unresolved.length} with unresolved copy-from`,
+  );
+
+  if (!dryRun) {
+    // Streamed like all.json; mods -> [objects] needs one more level
+    await writeJsonStream(
+      path.join(buildDir, "all_resolved.json"),
+      { build_number: tag_name, ...resolved },
+      { depth: 3 },
+    );
+  }
+  return { count: resolved.data.length, unresolved: resolved.unresolved };
+}
+
+/**
+ * Validate collated base game and mod objects against the schemas in
+ * schemas/ and write validation.json
+ * @param {string} buildDir
+ * @param {string} tag_name
+ * @param {any[]} data
+ * @param {Record<string, { data: any[] }>} dataMods
+ * @param {boolean} dryRun
+ * @param {object} [options]
+ * @param {boolean} [options.strict] - Throw when any object is invalid
+ */
+export function validateGameData(
+  buildDir,
+  tag_name,
+  data,
+  dataMods,
+  dryRun,
+  options = {},
+) {
+  const { strict = false } = options;
+  const schemas = loadSchemas();
+  const objects = data.concat(
+    ...Object.values(dataMods).map((mod) => mod.data),
+  );
+  const errors = validateObjects(objects, schemas);
+  const invalid = Object.keys(errors).length;
+
+  if (invalid > 0) {
+    console.warn(`⚠️  ${invalid} of ${objects.length} objects failed validation`);
+  } else {
+    console.log(`Validated ${objects.length} objects`);
+  }
+
+  if (!dryRun) {
+    writeFile(
+      buildDir,
+      "validation.json",
+      JSON.stringify({
+        build_number: tag_name,
+        objects: objects.length,
+        invalid,
+        errors,
+      }),
+    );
+  }
+
+  if (strict && invalid > 0) {
+    throw new Error(
+      `Validation failed for ${tag_name}: ${invalid} invalid objects, see validation.json`,
+    );
+  }
+  return { objects: objects.length, invalid, errors };
+}
+
 /**
  * Collate mods into all_mods.json and extract assets
  * @param {ReturnType<createGlobFn>} globFn
@@ -361,42 +956,91 @@ export function collateAllJson(
  * @param {boolean} dryRun
  * @param {Object} [options]
  * @param {boolean} [options.extractAssets]
- * @param {boolean} [options.convertGfx]
  * @param {boolean} [options.force]
  * @param {boolean} [options.writeJson]
+ * @param {import("./encoding.mjs").Encoding} [options.encoding] - Compress all_mods.json while writing it
+ * @param {IngestError[]} [options.errors] - Skip malformed objects, mods and catalogues and record them here, see breakJSONIntoSingleObjects
  */
-export function processMods(globFn, buildDir, dryRun, options = {}) {
+export async function processMods(globFn, buildDir, dryRun, options = {}) {
   const {
     extractAssets = true,
-    convertGfx = false,
     force = false,
     writeJson = true,
+    encoding,
+    errors,
   } = options;
-  /** @type {Record<string, { info: any, data: any[] }>} */
+  /** @type {Record<string, { info: any, data: any[], langs: string[] }>} */
   const dataMods = {};
   let extracted = 0;
-  let converted = 0;
-  let failed = 0;
 
+  const pngExists = createDataPngLookup(globFn);
   for (const i of globFn("*/data/mods/*/modinfo.json")) {
     const modname = i.name.split("/")[2];
-    const modInfo = JSON.parse(i.data()).find(
+    /** @type {any[]} */
+    let modInfos;
+    try {
+      modInfos = JSON.parse(i.data());
+    } catch (e) {
+      if (!errors) throw e;
+      // Without its modinfo the mod has no id, skip it whole
+      errors.push({
+        file: i.name,
+        start: 1,
+        end: i.data().split("\n").length,
+        message: /** @type {Error} */ (e).message,
+      });
+      continue;
+    }
+    const modInfo = modInfos.find(
       (/** @type {any} */ i) => i.type === "MOD_INFO",
     );
     if (!modInfo || modInfo.obsolete) continue;
 
     const modId = modInfo.id;
-    dataMods[modId] = { info: modInfo, data: [] };
+    dataMods[modId] = { info: modInfo, data: [], langs: [] };
 
     for (const f of globFn(`*/data/mods/${modname}/**/*.json`)) {
       const filename = f.name;
-      const objs = breakJSONIntoSingleObjects(f.data());
+      const objs = breakJSONIntoSingleObjects(f.data(), {
+        file: filename,
+        errors,
+      });
       for (const { obj, start, end } of objs) {
         if (obj.type === "MOD_INFO") continue;
-        obj.__filename = filename + `#L${start}-L${end}`;
-        dataMods[modId].data.push(obj);
+        const published = publishModTileset(obj, filename, pngExists);
+        published.__filename = filename + `#L${start}-L${end}`;
+        dataMods[modId].data.push(published);
+      }
+    }
+
+    // Mods shipping their own catalogues publish them next to their assets
+    for (const f of globFn(`*/data/mods/${modname}/**/*.po`)) {
+      const lang = path.basename(f.name, ".po");
+      let json;
+      try {
+        // @ts-ignore
+        json = postprocessPoJson(po2json.parse(f.data()));
+      } catch (e) {
+        if (!errors) throw e;
+        // The mod is still published, just without this catalogue
+        errors.push({
+          file: f.name,
+          start: 1,
+          end: f.data().split("\n").length,
+          message: /** @type {Error} */ (e).message,
+        });
+        continue;
+      }
+      if (!dryRun) {
+        writeFile(
+          buildDir,
+          `mods/${modId}/lang/${lang}.json`,
+          JSON.stringify(json),
+        );
       }
+      dataMods[modId].langs.push(lang);
     }
+    dataMods[modId].langs.sort();
 
     if (extractAssets) {
       for (const f of globFn(`*/data/mods/${modname}/**/*.png`)) {
@@ -404,14 +1048,10 @@ export function processMods(globFn, buildDir, dryRun, options = {}) {
         const targetPath = `mods/${modId}/${relPath}`;
         if (!dryRun) {
           const fullPath = path.join(buildDir, targetPath);
-          const webpPath = fullPath.replace(/\.png$/, ".webp");
+          const webpPath = fullPath.replace(/\.png$/i, ".webp");
           if (!fs.existsSync(webpPath) || force) {
             writeFile(buildDir, targetPath, f.raw());
             extracted++;
-            if (convertGfx) {
-              if (convertToWebp(fullPath, dryRun, force)) converted++;
-              else failed++;
-            }
           }
         }
       }
@@ -419,12 +1059,225 @@ export function processMods(globFn, buildDir, dryRun, options = {}) {
   }
 
   if (!dryRun && writeJson) {
-    fs.writeFileSync(
-      path.join(buildDir, "all_mods.json"),
-      JSON.stringify(dataMods),
+    // mod -> { info, data: [objects] }, streamed object by object
+    await writeJsonStream(path.join(buildDir, "all_mods.json"), dataMods, {
+      depth: 3,
+      encoding,
+    });
+  }
+  return { dataMods, extracted };
+}
+
+/**
+ * Identify a game object by type and id. Recipes are identified by their
+ * result (plus id_suffix), abstracts by their abstract id.
+ * @param {any} obj
+ * @returns {{ type: string, id: string } | null}
+ */
+export function getObjectKey(obj) {
+  if (!obj || typeof obj.type !== "string") return null;
+  let id = obj.id ?? obj.abstract;
+  if (id === undefined && typeof obj.result === "string") {
+    id = obj.id_suffix ? `${obj.result}_${obj.id_suffix}` : obj.result;
+  }
+  if (id === undefined) return null;
+  return { type: obj.type, id: Array.isArray(id) ? id.join(",") : String(id) };
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ * @returns {boolean}
+ */
+function isDeepEqual(a, b) {
+  if (a === b) return true;
+  if (typeof a !== "object" || typeof b !== "object" || !a || !b) return false;
+  if (Array.isArray(a) !== Array.isArray(b)) return false;
+  const keysA = Object.keys(a);
+  const keysB = Object.keys(b);
+  if (keysA.length !== keysB.length) return false;
+  return keysA.every((k) => k in b && isDeepEqual(a[k], b[k]));
+}
+
+/**
+ * Index base game and mod objects by mod, type and id
+ * @param {any[]} data
+ * @param {Record<string, { data: any[] }>} dataMods
+ */
+function indexObjects(data, dataMods) {
+  /** @type {Map<string, { mod?: string, type: string, id: string, obj: any }>} */
+  const index = new Map();
+  /**
+   * @param {any[]} objs
+   * @param {string} [mod]
+   */
+  const add = (objs, mod) => {
+    for (const obj of objs) {
+      const key = getObjectKey(obj);
+      if (!key) continue;
+      index.set(JSON.stringify([mod ?? null, key.type, key.id]), {
+        mod,
+        ...key,
+        obj,
+      });
+    }
+  };
+  add(data);
+  for (const [modId, mod] of Object.entries(dataMods)) {
+    add(mod.data, modId);
+  }
+  return index;
+}
+
+/**
+ * Diff two builds' game data, keyed by mod, type and id
+ * @param {{ data: any[], dataMods: Record<string, { data: any[] }> }} previous
+ * @param {{ data: any[], dataMods: Record<string, { data: any[] }> }} current
+ */
+export function diffGameData(previous, current) {
+  const before = indexObjects(previous.data, previous.dataMods);
+  const after = indexObjects(current.data, current.dataMods);
+
+  /** @param {{ mod?: string, type: string, id: string }} entry */
+  const ref = ({ mod, type, id }) => (mod ? { type, id, mod } : { type, id });
+
+  const added = [];
+  const removed = [];
+  const modified = [];
+
+  for (const [key, entry] of after) {
+    const old = before.get(key);
+    if (!old) {
+      added.push(ref(entry));
+      continue;
+    }
+    /** @type {Record<string, { from: any, to: any }>} */
+    const fields = {};
+    const names = new Set([...Object.keys(old.obj), ...Object.keys(entry.obj)]);
+    for (const name of names) {
+      // Source location moves whenever a file is edited, it is not a change
+      if (name === "__filename") continue;
+      if (!isDeepEqual(old.obj[name], entry.obj[name])) {
+        fields[name] = { from: old.obj[name], to: entry.obj[name] };
+      }
+    }
+    if (Object.keys(fields).length > 0) {
+      modified.push({ ...ref(entry), fields });
+    }
+  }
+  for (const [key, entry] of before) {
+    if (!after.has(key)) removed.push(ref(entry));
+  }
+
+  return { added, removed, modified };
+}
+
+/**
+ * Write changes.json describing the difference from the previous build
+ * @param {string} workspaceDir
+ * @param {string} tag_name
+ * @param {string | undefined} previousBuild - build_number of the previous build of the same channel
+ * @param {any[]} data
+ * @param {Record<string, { data: any[] }>} dataMods
+ * @param {boolean} dryRun
+ */
+export function writeChanges(
+  workspaceDir,
+  tag_name,
+  previousBuild,
+  data,
+  dataMods,
+  dryRun,
+) {
+  if (!previousBuild) {
+    console.log("No previous build in this channel, skipping changes.json");
+    return null;
+  }
+
+  const previousDir = path.join(workspaceDir, "data", previousBuild);
+  const allJsonPath = path.join(previousDir, "all.json");
+  const allModsJsonPath = path.join(previousDir, "all_mods.json");
+  if (!fs.existsSync(allJsonPath)) {
+    console.log(
+      `  ⚠️  ${previousBuild} has no all.json, skipping changes.json`,
     );
+    return null;
+  }
+
+  const previous = {
+    data: readJsonFile(allJsonPath).data,
+    dataMods: fs.existsSync(allModsJsonPath)
+      ? readJsonFile(allModsJsonPath)
+      : {},
+  };
+  const changes = diffGameData(previous, { data, dataMods });
+  console.log(
+    `Changes since ${previousBuild}: ${changes.added.length} added, ${changes.removed.length} removed, ${changes.modified.length} modified`,
+  );
+
+  if (!dryRun) {
+    writeFile(
+      path.join(workspaceDir, "data", tag_name),
+      "changes.json",
+      JSON.stringify({
+        build_number: tag_name,
+        previous_build: previousBuild,
+        ...changes,
+      }),
+    );
+  }
+  return changes;
+}
+
+/**
+ * Write provenance.json, a side table locating every object's source: the
+ * upstream commit, a permalink base, and per source file whether it comes
+ * from the base game or a mod. An object's GitHub link is
+ * `permalink + __filename`, since __filename ends in a #L10-L42 line anchor.
+ * @param {ReturnType<createGlobFn>} globFn
+ * @param {string} buildDir
+ * @param {string} tag_name
+ * @param {{ owner: string, repo: string }} source - Upstream repository
+ * @param {any[]} data - Base game objects
+ * @param {Record<string, any>} dataMods - Mod objects from processMods
+ * @param {boolean} dryRun
+ */
+export function writeProvenance(
+  globFn,
+  buildDir,
+  tag_name,
+  source,
+  data,
+  dataMods,
+  dryRun,
+) {
+  const ref = globFn.commit ?? tag_name;
+  /** @type {Record<string, string>} file -> "base" or mod id */
+  const files = {};
+  /**
+   * @param {any[]} objs
+   * @param {string} origin
+   */
+  const add = (objs, origin) => {
+    for (const obj of objs) {
+      if (typeof obj.__filename !== "string") continue;
+      files[obj.__filename.split("#")[0]] ??= origin;
+    }
+  };
+  add(data, "base");
+  for (const [modId, mod] of Object.entries(dataMods)) add(mod.data, modId);
+
+  const provenance = {
+    build_number: tag_name,
+    repo: `${source.owner}/${source.repo}`,
+    commit: globFn.commit,
+    permalink: `https://github.com/${source.owner}/${source.repo}/blob/${ref}/`,
+    files,
+  };
+  if (!dryRun) {
+    writeFile(buildDir, "provenance.json", JSON.stringify(provenance));
   }
-  return { dataMods, extracted, converted, failed };
+  return provenance;
 }
 
 /**
@@ -433,23 +1286,21 @@ export function processMods(globFn, buildDir, dryRun, options = {}) {
  * @param {string} buildDir
  * @param {boolean} dryRun
  * @param {Object} [options]
- * @param {boolean} [options.convertGfx]
- * @param {boolean} [options.force]
+ * @param {boolean} [options.force] - Extract PNGs even if their WebP exists
  */
 export function processBaseGfx(globFn, buildDir, dryRun, options = {}) {
-  const { convertGfx = false, force = false } = options;
+  const { force = false } = options;
   let extracted = 0;
-  let converted = 0;
-  let failed = 0;
 
   const gfxEntries = [...globFn("*/gfx/**/*")];
+  const byPath = new Map(gfxEntries.map((e) => [stripGfxPrefix(e.name), e]));
   for (const entry of gfxEntries) {
     const relPath = stripGfxPrefix(entry.name);
     if (!relPath) continue;
 
     const targetPath = `gfx/${relPath}`;
     const fullPath = path.join(buildDir, targetPath);
-    const webpPath = fullPath.replace(/\.png$/, ".webp");
+    const webpPath = fullPath.replace(/\.png$/i, ".webp");
 
     if (!dryRun) {
       const isPng = relPath.toLowerCase().endsWith(".png");
@@ -459,18 +1310,17 @@ export function processBaseGfx(globFn, buildDir, dryRun, options = {}) {
         if (!fs.existsSync(webpPath) || force) {
           writeFile(buildDir, targetPath, entry.raw());
           extracted++;
-          if (convertGfx) {
-            if (convertToWebp(fullPath, dryRun, force)) converted++;
-            else failed++;
-          }
         }
       } else if (isJson) {
         try {
-          writeFile(
-            buildDir,
-            targetPath,
-            JSON.stringify(JSON.parse(entry.data())),
-          );
+          let json = JSON.parse(entry.data());
+          if (path.posix.basename(relPath) === "tile_config.json") {
+            const tilesetDir = path.posix.dirname(relPath);
+            json = publishSheetFiles(json, targetPath, (file) =>
+              byPath.has(path.posix.join(tilesetDir, file)),
+            );
+          }
+          writeFile(buildDir, targetPath, JSON.stringify(json));
           extracted++;
         } catch (e) {
           writeFile(buildDir, targetPath, entry.raw());
@@ -482,100 +1332,290 @@ export function processBaseGfx(globFn, buildDir, dryRun, options = {}) {
       }
     }
   }
-  return { extracted, converted, failed };
+
+  let spriteIndexes = 0;
+  if (!dryRun) {
+    for (const [relPath, entry] of byPath) {
+      if (path.posix.basename(relPath) !== "tile_config.json") continue;
+      const tilesetDir = path.posix.dirname(relPath);
+      const written = writeSpriteIndex(
+        buildDir,
+        `gfx/${tilesetDir}/sprites.json`,
+        entry.data(),
+        (file) => byPath.get(path.posix.join(tilesetDir, file))?.raw(),
+      );
+      if (written) spriteIndexes++;
+    }
+  }
+  return { extracted, spriteIndexes };
+}
+
+/**
+ * Rewrite a tileset config's sheet references to the WebP files that get
+ * published, warning about sheets missing from the source
+ * @param {any} config
+ * @param {string} label - Where the config comes from, for warnings
+ * @param {(file: string) => boolean} exists
+ */
+function publishSheetFiles(config, label, exists) {
+  const rewritten = rewriteSheetFiles(config, exists);
+  for (const file of rewritten.missing) {
+    console.warn(`    ⚠️  ${label}: sprite sheet ${file} not found`);
+  }
+  return rewritten.config;
+}
+
+/**
+ * Create a lookup for PNG files under data/ in the source zip, built on first use
+ * @param {ReturnType<createGlobFn>} globFn
+ * @returns {(name: string) => boolean}
+ */
+function createDataPngLookup(globFn) {
+  /** @type {Set<string> | null} */
+  let names = null;
+  return (name) => {
+    names ??= new Set([...globFn("*/data/**/*.png")].map((f) => f.name));
+    return names.has(name);
+  };
 }
 
 /**
- * Pre-compress JSON files with Brotli
+ * Point mod_tileset objects (external and mod tilesets) at published WebP sheets
+ * @param {any} obj
+ * @param {string} filename - Source JSON path the object was read from
+ * @param {(name: string) => boolean} pngExists
+ */
+function publishModTileset(obj, filename, pngExists) {
+  if (obj.type !== "mod_tileset") return obj;
+  const dir = path.posix.dirname(filename);
+  return publishSheetFiles(obj, filename, (file) =>
+    pngExists(path.posix.join(dir, file)),
+  );
+}
+
+/**
+ * Write a tileset's sprites.json, mapping tile ids to sheet, rect and offsets
+ * @param {string} buildDir
+ * @param {string} targetPath
+ * @param {string} configJson - tile_config.json contents
+ * @param {(file: string) => Buffer | null | undefined} getImage
+ * @returns {boolean} whether the index was written
+ */
+function writeSpriteIndex(buildDir, targetPath, configJson, getImage) {
+  let config;
+  try {
+    config = JSON.parse(configJson);
+  } catch (e) {
+    console.warn(`    ⚠️  Could not parse tileset config for ${targetPath}`);
+    return false;
+  }
+  const { index, missing } = buildSpriteIndex(config, getImage);
+  for (const file of missing) {
+    console.warn(`    ⚠️  ${targetPath}: sprite sheet ${file} not found`);
+  }
+  writeFile(buildDir, targetPath, JSON.stringify(index));
+  return true;
+}
+
+/**
+ * Pre-compress JSON files into the configured encodings, on a bounded pool.
+ * The primary encoding replaces the .json file in place, the others are
+ * written next to it (.json.gz, .json.zst, ...). Variants of encodings no
+ * longer configured are removed.
  * @param {string} buildDir
  * @param {boolean} dryRun
  * @param {boolean} [force]
+ * @param {object} [options]
+ * @param {number} [options.jobs]
+ * @param {import("./encoding.mjs").Encoding[]} [options.encodings] - Primary first; ENCODINGS by default
  */
-export function compressJsonFiles(buildDir, dryRun, force = false) {
-  let jsonCount = 0;
-  let compressedCount = 0;
+export async function compressJsonFiles(
+  buildDir,
+  dryRun,
+  force = false,
+  options = {},
+) {
+  const { jobs, encodings = encodingsFromEnv() } = options;
+  const [primary, ...variants] = encodings;
+  const stale = Object.values(ENCODINGS).filter((e) => !variants.includes(e));
 
-  const findResult = exec(
-    `find "${buildDir}" -type f -name "*.json" 2>/dev/null`,
-    { silent: true, ignoreError: true },
-  );
+  const jsonFiles = listFilesByExt(buildDir, ".json");
+  const pending = jsonFiles.filter((f) => force || !isStoredAs(f, encodings));
+  if (dryRun) {
+    return { jsonCount: jsonFiles.length, compressedCount: pending.length };
+  }
 
-  if (!findResult) return { jsonCount, compressedCount };
+  const results = await runPool(
+    pending,
+    async (jsonFile) => {
+      try {
+        const raw = decodeBuffer(fs.readFileSync(jsonFile));
+        for (const encoding of variants) {
+          fs.writeFileSync(
+            jsonFile + encoding.suffix,
+            await encoding.compress(raw),
+          );
+        }
+        for (const encoding of stale) {
+          fs.rmSync(jsonFile + encoding.suffix, { force: true });
+        }
+        fs.writeFileSync(jsonFile, await primary.compress(raw));
+        return true;
+      } catch (e) {
+        console.error(`    ⚠️  Failed to compress: ${jsonFile}`);
+        return false;
+      }
+    },
+    { jobs, onProgress: logProgress },
+  );
+  return {
+    jsonCount: jsonFiles.length,
+    compressedCount: results.filter(Boolean).length,
+  };
+}
 
-  const jsonFiles = String(findResult)
-    .trim()
-    .split("\n")
-    .filter((f) => f);
+/**
+ * List files under a directory recursively, relative to it, in sorted order
+ * @param {string} dir
+ * @returns {string[]}
+ */
+export function listFilesRecursive(dir) {
+  if (!fs.existsSync(dir)) return [];
+  /** @type {string[]} */
+  const files = [];
+  /** @param {string} rel */
+  const walk = (rel) => {
+    const entries = fs.readdirSync(path.join(dir, rel), { withFileTypes: true });
+    for (const entry of entries) {
+      const entryRel = rel ? `${rel}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) walk(entryRel);
+      else if (entry.isFile()) files.push(entryRel);
+    }
+  };
+  walk("");
+  return files.sort();
+}
 
-  for (const jsonFile of jsonFiles) {
-    jsonCount++;
-    if (!force && isCompressed(jsonFile)) continue;
+/**
+ * Write manifest.json listing every published file of a build with its
+ * stored size, uncompressed size and SHA-256. The manifest itself is stored
+ * in the configured encodings like every other JSON file.
+ * @param {string} buildDir
+ * @param {string} buildNumber
+ * @param {boolean} dryRun
+ * @param {import("./encoding.mjs").Encoding[]} [encodings] - Primary first; ENCODINGS by default
+ */
+export function writeManifest(
+  buildDir,
+  buildNumber,
+  dryRun,
+  encodings = encodingsFromEnv(),
+) {
+  const isJson = (/** @type {string} */ f) =>
+    f.endsWith(".json") ||
+    Object.values(ENCODINGS).some((e) => f.endsWith(`.json${e.suffix}`));
+  const files = listFilesRecursive(buildDir)
+    .filter((f) => !f.startsWith("manifest.json"))
+    .map((f) => {
+      const content = fs.readFileSync(path.join(buildDir, f));
+      return {
+        path: f,
+        size: content.length,
+        uncompressed_size: isJson(f)
+          ? decodeBuffer(content).length
+          : content.length,
+        sha256: crypto.createHash("sha256").update(content).digest("hex"),
+      };
+    });
 
-    if (dryRun) {
-      compressedCount++;
-      continue;
+  const [primary, ...variants] = encodings;
+  const raw = Buffer.from(JSON.stringify({ build_number: buildNumber, files }));
+  const manifest = primary.compressSync(raw);
+  if (!dryRun) {
+    writeFile(buildDir, "manifest.json", manifest);
+    for (const encoding of variants) {
+      writeFile(
+        buildDir,
+        `manifest.json${encoding.suffix}`,
+        encoding.compressSync(raw),
+      );
     }
-
-    try {
-      exec(`brotli -q 11 -k -f "${jsonFile}"`, { silent: true });
-      const brFile = `${jsonFile}.br`;
-      if (fs.existsSync(brFile)) {
-        fs.renameSync(brFile, jsonFile);
-        compressedCount++;
-      }
-    } catch (e) {}
   }
-  return { jsonCount, compressedCount };
+  return {
+    count: files.length,
+    sha256: crypto.createHash("sha256").update(manifest).digest("hex"),
+  };
 }
 
 /**
- * Create/update semantic symlinks for stable and nightly builds
+ * Write manifests.json, pointing at the manifest of every build in builds.json
  * @param {string} workspaceDir
- * @param {Array<{build_number: string, prerelease: boolean}>} builds
  * @param {boolean} dryRun
  */
-export function updateSymlinks(workspaceDir, builds, dryRun) {
-  const dataDir = path.join(workspaceDir, "data");
-
-  // Find targets (builds are sorted newest first)
-  const stableTarget = builds.find((b) => !b.prerelease)?.build_number;
-  const nightlyTarget = builds.find((b) => b.prerelease)?.build_number;
-
-  const symlinks = [
-    { name: "stable", target: stableTarget },
-    { name: "nightly", target: nightlyTarget },
-  ];
-
-  console.group("Updating semantic symlinks...");
-  for (const { name, target } of symlinks) {
-    if (!target) {
-      console.log(`  ⚠️  No ${name} build found, skipping symlink`);
-      continue;
-    }
+export function writeManifestIndex(workspaceDir, dryRun) {
+  /** @type {Record<string, { path: string, size: number, sha256: string }>} */
+  const index = {};
+  for (const build of getExistingBuilds(workspaceDir)) {
+    const manifestPath = `data/${build.build_number}/manifest.json`;
+    const fullPath = path.join(workspaceDir, manifestPath);
+    if (!fs.existsSync(fullPath)) continue;
+    const content = fs.readFileSync(fullPath);
+    index[build.build_number] = {
+      path: manifestPath,
+      size: content.length,
+      sha256: crypto.createHash("sha256").update(content).digest("hex"),
+    };
+  }
+  if (!dryRun) {
+    writeFile(workspaceDir, "manifests.json", JSON.stringify(index));
+  }
+  return index;
+}
 
-    const linkPath = path.join(dataDir, name);
+/**
+ * Write the Cloudflare Pages _headers file for the configured encodings
+ * @param {string} workspaceDir
+ * @param {import("./encoding.mjs").Encoding[]} encodings - Primary first
+ * @param {boolean} dryRun
+ */
+export function writeHeaders(workspaceDir, encodings, dryRun) {
+  const headers = buildHeaders(encodings);
+  if (!dryRun) {
+    writeFile(workspaceDir, "_headers", headers);
+  }
+  return headers;
+}
 
-    if (dryRun) {
-      console.log(`  (DRY RUN) Would create: ${name} -> ${target}`);
-      continue;
-    }
+/**
+ * Point the build aliases (stable, nightly, stable-previous, nightly-YYYY-MM)
+ * at their builds: writes aliases.json and the Cloudflare Pages _redirects,
+ * and removes the stable/nightly symlinks older workspaces still have
+ * @param {string} workspaceDir
+ * @param {Array<{build_number: string, prerelease: boolean, created_at: string}>} builds
+ * @param {boolean} dryRun
+ */
+export function writeAliases(workspaceDir, builds, dryRun) {
+  const aliases = computeAliases(builds);
 
-    // Remove existing symlink/file/directory safely
-    try {
-      const stats = fs.lstatSync(linkPath);
-      if (stats.isSymbolicLink() || stats.isFile()) {
-        fs.unlinkSync(linkPath);
-      } else if (stats.isDirectory()) {
-        console.warn(`  ⚠️  ${name} is a real directory at ${linkPath}. Skipping symlink creation to avoid deletion.`);
-        continue;
+  console.group("Updating build aliases...");
+  for (const [alias, target] of Object.entries(aliases)) {
+    console.log(`  ${dryRun ? "(DRY RUN) " : "✅ "}${alias} -> ${target}`);
+  }
+  if (!dryRun) {
+    for (const name of ["stable", "nightly"]) {
+      const linkPath = path.join(workspaceDir, "data", name);
+      try {
+        if (fs.lstatSync(linkPath).isSymbolicLink()) {
+          fs.unlinkSync(linkPath);
+          console.log(`  🧹 Removed legacy symlink data/${name}`);
+        }
+      } catch (e) {
+        // Doesn't exist, that's fine
       }
-    } catch (e) {
-      // Doesn't exist, that's fine
     }
-
-    // Create relative symlink (target is just the directory name)
-    fs.symlinkSync(target, linkPath);
-    console.log(`  ✅ ${name} -> ${target}`);
+    writeFile(workspaceDir, "aliases.json", JSON.stringify(aliases));
+    writeFile(workspaceDir, "_redirects", buildRedirects(aliases));
   }
   console.groupEnd();
+  return aliases;
 }
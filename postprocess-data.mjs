@@ -4,9 +4,15 @@ import path from "path";
 import {
   exec,
   isCompressed,
-  convertToWebp,
+  convertPngs,
   compressJsonFiles,
+  parseJobs,
+  listFilesByExt,
+  writeHeaders,
+  writeManifest,
+  writeManifestIndex,
 } from "./pipeline.mjs";
+import { parseEncodings } from "./encoding.mjs";
 
 const DEFAULT_WORKSPACE = "data_workspace";
 
@@ -18,7 +24,13 @@ function parseArgs() {
   const workspaceDir = workspaceArg
     ? workspaceArg.split("=")[1]
     : DEFAULT_WORKSPACE;
-  return { dryRun, force, workspaceDir };
+  const jobsArg = args.find((arg) => arg.startsWith("--jobs="));
+  const jobs = parseJobs(jobsArg?.split("=")[1]);
+  const encodingsArg = args.find((arg) => arg.startsWith("--encodings="));
+  const encodings = parseEncodings(
+    encodingsArg ? encodingsArg.split("=")[1] : process.env.ENCODINGS,
+  );
+  return { dryRun, force, workspaceDir, jobs, encodings };
 }
 
 function ensureTool(tool) {
@@ -29,33 +41,8 @@ function ensureTool(tool) {
   }
 }
 
-function listFilesByExt(baseDir, ext) {
-  if (!fs.existsSync(baseDir)) return [];
-  const result = exec(
-    `find "${baseDir}" -type f -name "*${ext}" 2>/dev/null`,
-    { silent: true, ignoreError: true },
-  );
-  if (!result) return [];
-  return String(result)
-    .trim()
-    .split("\n")
-    .filter((f) => f);
-}
-
-function listJsonFiles(buildDir) {
-  const result = exec(
-    `find "${buildDir}" -type f -name "*.json" 2>/dev/null`,
-    { silent: true, ignoreError: true },
-  );
-  if (!result) return [];
-  return String(result)
-    .trim()
-    .split("\n")
-    .filter((f) => f);
-}
-
 function allJsonCompressed(buildDir) {
-  const jsonFiles = listJsonFiles(buildDir);
+  const jsonFiles = listFilesByExt(buildDir, ".json");
   if (jsonFiles.length === 0) return false;
   for (const jsonFile of jsonFiles) {
     if (!isCompressed(jsonFile)) return false;
@@ -63,39 +50,21 @@ function allJsonCompressed(buildDir) {
   return true;
 }
 
-function convertPngs(pngFiles, dryRun, force) {
-  let converted = 0;
-  let failed = 0;
-  let skipped = 0;
-
-  for (const pngPath of pngFiles) {
-    const webpPath = pngPath.replace(/\.png$/i, ".webp");
-    if (!force && fs.existsSync(webpPath)) {
-      skipped++;
-      continue;
-    }
-    const ok = convertToWebp(pngPath, dryRun, force);
-    if (ok) converted++;
-    else failed++;
-  }
-
-  return { converted, failed, skipped };
-}
-
 async function postprocess() {
-  const { dryRun, force, workspaceDir } = parseArgs();
+  const { dryRun, force, workspaceDir, jobs, encodings } = parseArgs();
 
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
   console.log("🔧 Postprocess data workspace");
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
   console.log(`Workspace: ${workspaceDir}`);
   console.log(`Mode: ${dryRun ? "DRY RUN" : "LIVE"}`);
+  console.log(`Jobs: ${jobs}`);
+  console.log(`Encodings: ${encodings.map((e) => e.name).join(", ")}`);
   if (force) console.log("Force: true (reprocess all)");
   console.log("");
 
   if (!dryRun) {
     ensureTool("cwebp");
-    ensureTool("brotli");
   }
 
   const dataDir = path.join(workspaceDir, "data");
@@ -112,8 +81,6 @@ async function postprocess() {
   let totalCompressed = 0;
 
   for (const buildName of builds) {
-    if (buildName === "stable" || buildName === "nightly") continue;
-
     const buildDir = path.join(dataDir, buildName);
     let stats = null;
     try {
@@ -133,7 +100,7 @@ async function postprocess() {
 
     if (gfxPngs.length > 0) {
       console.log(`  🎨 Converting base GFX (${gfxPngs.length} PNGs)`);
-      const res = convertPngs(gfxPngs, dryRun, force);
+      const res = await convertPngs(gfxPngs, dryRun, { force, jobs });
       totalConverted += res.converted;
       totalFailed += res.failed;
       totalSkipped += res.skipped;
@@ -146,7 +113,7 @@ async function postprocess() {
 
     if (modPngs.length > 0) {
       console.log(`  🧩 Converting mod GFX (${modPngs.length} PNGs)`);
-      const res = convertPngs(modPngs, dryRun, force);
+      const res = await convertPngs(modPngs, dryRun, { force, jobs });
       totalConverted += res.converted;
       totalFailed += res.failed;
       totalSkipped += res.skipped;
@@ -159,7 +126,10 @@ async function postprocess() {
 
 
     console.log("  🗜️  Precompressing JSON...");
-    const compressionStats = compressJsonFiles(buildDir, dryRun, force);
+    const compressionStats = await compressJsonFiles(buildDir, dryRun, force, {
+      jobs,
+      encodings,
+    });
     totalJsonCount += compressionStats.jsonCount;
     totalCompressed += compressionStats.compressedCount;
     console.log(
@@ -169,10 +139,25 @@ async function postprocess() {
       console.log("    Build fully compressed");
     }
 
+    // Hashing every file is slow, only redo it when the build changed
+    const buildChanged =
+      force ||
+      compressionStats.compressedCount > 0 ||
+      gfxPngs.length + modPngs.length > 0 ||
+      !fs.existsSync(path.join(buildDir, "manifest.json"));
+    if (buildChanged) {
+      console.log("  📝 Writing manifest...");
+      const manifest = writeManifest(buildDir, buildName, dryRun, encodings);
+      console.log(`    Files: ${manifest.count}`);
+    }
+
     console.groupEnd();
     console.log("");
   }
 
+  const manifests = writeManifestIndex(workspaceDir, dryRun);
+  writeHeaders(workspaceDir, encodings, dryRun);
+
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
   console.log("📊 Summary");
   console.log(`  PNG converted: ${totalConverted}`);
@@ -180,6 +165,7 @@ async function postprocess() {
   console.log(`  PNG skipped: ${totalSkipped}`);
   console.log(`  JSON found: ${totalJsonCount}`);
   console.log(`  JSON compressed: ${totalCompressed}`);
+  console.log(`  Manifests indexed: ${Object.keys(manifests).length}`);
   console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
 }
 
@@ -1,6 +1,19 @@
-import run from "./prune-data.mjs";
-
-await run({
-  dryRun: !process.env.GITHUB_TOKEN,
-});
+import run, { preview } from "./prune-data.mjs";
 
+const args = process.argv.slice(2);
+if (args.includes("--preview")) {
+  const nowArg = args.find((a) => a.startsWith("--now="));
+  const policyArg = args.find((a) => a.startsWith("--policy="));
+  const now = nowArg
+    ? new Date(`${nowArg.split("=")[1]}T00:00:00Z`)
+    : new Date();
+  if (Number.isNaN(now.getTime())) {
+    console.error(`Invalid --now date: ${nowArg}, expected YYYY-MM-DD`);
+    process.exit(1);
+  }
+  await preview({ now, policyFile: policyArg?.split("=")[1] });
+} else {
+  await run({
+    dryRun: !process.env.GITHUB_TOKEN,
+  });
+}
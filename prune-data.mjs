@@ -1,6 +1,13 @@
 // @ts-check
-import { readFileSync, writeFileSync, rmSync } from "fs";
+import { readFileSync, writeFileSync, rmSync, statSync } from "fs";
 import { join } from "path";
+import { fileURLToPath } from "url";
+import {
+  listFilesRecursive,
+  writeAliases,
+  writeManifestIndex,
+} from "./pipeline.mjs";
+import { activePins, markPinned, readPins, writePins } from "./pins.mjs";
 
 /**
  * @typedef {Object} RunOptions
@@ -32,14 +39,24 @@ export default async function run({ dryRun = false } = {}) {
     console.log("Could not read builds.json, assuming empty");
   }
 
-  // Apply retention policy
+  // Apply retention policy, sparing pinned builds
+  const now = new Date();
+  const pins = readPins(workspaceDir);
   const { kept: keptBuilds, removed: removedBuilds } = applyRetentionPolicy(
     existingBuilds,
-    new Date(),
+    now,
+    loadRetentionPolicy(),
+    activePins(pins, now),
   );
 
   if (removedBuilds.length === 0) {
     console.log("Retention policy: no builds to remove");
+    // Pins may still have expired since builds.json was last written
+    if (!dryRun && existingBuilds.length > 0) {
+      console.log("Refreshing pinned flags in builds.json...");
+      markPinned(existingBuilds, pins, now);
+      writeFileSync(buildsJsonPath, JSON.stringify(existingBuilds));
+    }
     return;
   }
 
@@ -74,13 +91,109 @@ export default async function run({ dryRun = false } = {}) {
     }
   }
 
+  // Only expired pins can point at removed builds
+  const keptPins = pins.filter(
+    (pin) => !removedBuildNumbers.has(pin.build_number),
+  );
+  if (keptPins.length < pins.length) {
+    console.log(`Dropping ${pins.length - keptPins.length} expired pins`);
+    writePins(workspaceDir, keptPins);
+  }
+
   // Write updated builds.json
   console.log(`Writing ${keptBuilds.length} builds to builds.json...`);
+  markPinned(keptBuilds, keptPins, now);
   writeFileSync(buildsJsonPath, JSON.stringify(keptBuilds));
 
+  // Aliases and manifests.json may point at removed builds
+  writeAliases(workspaceDir, keptBuilds, false);
+  writeManifestIndex(workspaceDir, false);
+
   console.log("✅ Pruning complete");
 }
 
+/**
+ * @typedef {Object} PreviewOptions
+ * @property {Date} [now] - Date to evaluate the policy at (default: today)
+ * @property {string} [policyFile] - Retention policy to preview instead of the configured one
+ */
+
+/**
+ * Print what the retention policy would prune on a given date, per tier,
+ * with the disk space it would free. Changes nothing.
+ * @param {PreviewOptions} options
+ */
+export async function preview({ now = new Date(), policyFile } = {}) {
+  const workspaceDir = process.env.WORKSPACE_DIR || "data_workspace";
+  const policy = loadRetentionPolicy(policyFile);
+  const builds = JSON.parse(
+    readFileSync(join(workspaceDir, "builds.json"), "utf-8"),
+  );
+  const { removed, tiers } = applyRetentionPolicy(
+    builds,
+    now,
+    policy,
+    activePins(readPins(workspaceDir), now),
+  );
+  const removedNumbers = new Set(removed.map((b) => b.build_number));
+
+  /** @param {string} buildNumber */
+  const buildSize = (buildNumber) => {
+    const buildDir = join(workspaceDir, "data", buildNumber);
+    return listFilesRecursive(buildDir).reduce(
+      (sum, file) => sum + statSync(join(buildDir, file)).size,
+      0,
+    );
+  };
+
+  // Rows in policy order, then the fixed tiers
+  const order = [
+    "pinned",
+    "stable",
+    "undated",
+    ...policy.tiers.map((t) => t.name),
+    "expired",
+  ];
+  /** @type {Map<string, { kept: number, removed: number, freed: number }>} */
+  const rows = new Map(
+    order.map((name) => [name, { kept: 0, removed: 0, freed: 0 }]),
+  );
+  for (const build of builds) {
+    const row =
+      /** @type {{ kept: number, removed: number, freed: number }} */ (
+        rows.get(tiers[build.build_number])
+      );
+    if (removedNumbers.has(build.build_number)) {
+      row.removed++;
+      row.freed += buildSize(build.build_number);
+    } else {
+      row.kept++;
+    }
+  }
+
+  console.log(
+    `Retention preview for ${now.toISOString().slice(0, 10)} (${builds.length} builds)`,
+  );
+  /** @type {Record<string, { Kept: number, Removed: number, Freed: string }>} */
+  const table = {};
+  for (const [name, row] of rows) {
+    if (row.kept + row.removed === 0) continue;
+    table[name] = {
+      Kept: row.kept,
+      Removed: row.removed,
+      Freed: `${(row.freed / 1024 / 1024).toFixed(1)} MB`,
+    };
+  }
+  console.table(table);
+  if (removed.length > 0) {
+    console.log("Would remove:");
+    for (const build of removed) {
+      console.log(`  - ${build.build_number} (${tiers[build.build_number]})`);
+    }
+  }
+  return { kept: builds.length - removed.length, removed: removed.length };
+}
+
 /**
  * @param {any} build
  * @returns {Date | null}
@@ -118,30 +231,126 @@ function toDayKey(date, dayMs) {
 }
 
 /**
+ * A retention tier, covering builds younger than maxAgeDays (and older than
+ * the previous tier's)
+ * @typedef {Object} RetentionTier
+ * @property {string} name
+ * @property {number} [maxAgeDays] - Open-ended when omitted (last tier only)
+ * @property {"all"} [keep] - Keep every build of every day
+ * @property {number} [everyDays] - Keep the last build of every Nth day
+ */
+
+/**
+ * @typedef {Object} RetentionPolicy
+ * @property {"keep" | "cutoff" | "tiered"} stable - Keep stable releases forever, until cutoffDays, or thin them like prereleases
+ * @property {number | null} [cutoffDays] - Remove builds older than this
+ * @property {RetentionTier[]} tiers - Youngest first
+ */
+
+const DEFAULT_POLICY_PATH = fileURLToPath(
+  new URL("./retention.json", import.meta.url),
+);
+
+/**
+ * Load and check the retention policy, from RETENTION_CONFIG or retention.json
+ * @param {string} [file]
+ * @returns {RetentionPolicy}
+ */
+export function loadRetentionPolicy(
+  file = process.env.RETENTION_CONFIG || DEFAULT_POLICY_PATH,
+) {
+  /** @type {RetentionPolicy} */
+  const policy = JSON.parse(readFileSync(file, "utf-8"));
+  const fail = (/** @type {string} */ message) => {
+    throw new Error(`Invalid retention policy ${file}: ${message}`);
+  };
+
+  if (!["keep", "cutoff", "tiered"].includes(policy.stable)) {
+    fail(`"stable" must be "keep", "cutoff" or "tiered"`);
+  }
+  if (policy.cutoffDays != null && !(policy.cutoffDays > 0)) {
+    fail(`"cutoffDays" must be a positive number`);
+  }
+  if (policy.stable === "cutoff" && policy.cutoffDays == null) {
+    fail(`"stable": "cutoff" needs "cutoffDays"`);
+  }
+  if (!Array.isArray(policy.tiers) || policy.tiers.length === 0) {
+    fail(`"tiers" must be a non-empty array`);
+  }
+  let previousMax = 0;
+  policy.tiers.forEach((tier, i) => {
+    const last = i === policy.tiers.length - 1;
+    if (!tier.name) fail(`tier ${i} needs a "name"`);
+    if (
+      tier.maxAgeDays === undefined ? !last : !(tier.maxAgeDays > previousMax)
+    ) {
+      fail(`tier "${tier.name}" needs a "maxAgeDays" above ${previousMax}`);
+    }
+    if (
+      tier.keep !== "all" &&
+      !(Number.isInteger(tier.everyDays) && Number(tier.everyDays) > 0)
+    ) {
+      fail(`tier "${tier.name}" needs "keep": "all" or a positive "everyDays"`);
+    }
+    previousMax = tier.maxAgeDays ?? Infinity;
+  });
+  return policy;
+}
+
+/**
+ * Split builds into kept and removed according to the retention policy.
+ * `tiers` maps each build_number to the tier that decided it: a policy tier
+ * name, or "pinned", "stable", "undated" or "expired".
  * @param {any[]} builds
  * @param {Date} now
+ * @param {RetentionPolicy} [policy]
+ * @param {Set<string>} [pinned] - Build numbers to keep regardless of the policy
  */
-function applyRetentionPolicy(builds, now) {
+function applyRetentionPolicy(
+  builds,
+  now,
+  policy = loadRetentionPolicy(),
+  pinned = new Set(),
+) {
   const ONE_DAY = 1000 * 60 * 60 * 24;
   const kept = [];
   const removed = [];
   const buildsWithoutDate = [];
+  /** @type {Record<string, string>} */
+  const tiers = {};
+  const cutoff = policy.cutoffDays ?? Infinity;
 
   // Group builds by build day (UTC) while tracking age from 'now'
   const buildsByDay = new Map();
   const nowDayKey = toDayKey(now, ONE_DAY);
 
   for (const b of builds) {
-    // 1. Keep all stable releases.
-    if (!b.prerelease) {
+    const buildDate = getBuildDate(b);
+
+    // 0. Pinned builds are always kept.
+    if (pinned.has(b.build_number)) {
       kept.push(b);
+      tiers[b.build_number] = "pinned";
+      continue;
+    }
+
+    // 1. Stable releases are kept, up to the cutoff when configured.
+    if (!b.prerelease && policy.stable !== "tiered") {
+      const age = buildDate ? nowDayKey - toDayKey(buildDate, ONE_DAY) : 0;
+      if (policy.stable === "cutoff" && age >= cutoff) {
+        removed.push(b);
+        tiers[b.build_number] = "expired";
+      } else {
+        kept.push(b);
+        tiers[b.build_number] = "stable";
+      }
       continue;
     }
 
-    const buildDate = getBuildDate(b);
     if (!buildDate) {
       kept.push(b);
       buildsWithoutDate.push(b);
+      tiers[b.build_number] = "undated";
       continue;
     }
 
@@ -178,63 +387,43 @@ function applyRetentionPolicy(builds, now) {
         b.timestamp - a.timestamp,
     );
 
-    const latestInDay = dailyBuilds[0].build;
-    const rest = dailyBuilds.slice(1).map((/** @type {{ build: any }} */ entry) => entry.build);
-
-    // Rule 2: In the last 30 days (0 <= day < 30), keep all builds.
-    if (day < 30) {
-      kept.push(...dailyBuilds.map((/** @type {{ build: any }} */ entry) => entry.build));
-      continue;
-    }
-
-    // For older ranges, we only consider keeping the latest build of the day (if rule matches)
-    // All others in the same day are removed.
-
-    // Default to removing conflicting/extra builds of the day
-    removed.push(...rest);
-
-    // Now decide for 'latestInDay'
-
-    // Rule 3: 30 <= day < 90. Keep if day % 2 === 0.
-    if (day >= 30 && day < 90) {
-      // Use build day parity so retention stays stable across runs.
-      if (dayKey % 2 === 0) {
-        kept.push(latestInDay);
-      } else {
-        removed.push(latestInDay);
-      }
-      continue;
-    }
-
-    // Rule 4: 90 <= day < 210. Keep if day % 4 === 0.
-    if (day >= 90 && day < 210) {
-      if (dayKey % 4 === 0) {
-        kept.push(latestInDay);
-      } else {
-        removed.push(latestInDay);
-      }
+    const all = dailyBuilds.map(
+      (/** @type {{ build: any }} */ entry) => entry.build,
+    );
+    const [latestInDay, ...rest] = all;
+
+    // 2. Builds past the cutoff, or older than every tier, are deleted.
+    const tier =
+      day < cutoff
+        ? policy.tiers.find(
+            (t) => t.maxAgeDays === undefined || day < t.maxAgeDays,
+          )
+        : undefined;
+    if (!tier) {
+      removed.push(...all);
+      for (const b of all) tiers[b.build_number] = "expired";
       continue;
     }
+    for (const b of all) tiers[b.build_number] = tier.name;
 
-    // Rule 5: 210 <= day < 450. Keep if day % 8 === 0.
-    if (day >= 210 && day < 450) {
-      if (dayKey % 8 === 0) {
-        kept.push(latestInDay);
-      } else {
-        removed.push(latestInDay);
-      }
+    // 3. Keep-all tiers (the most recent days) keep every build.
+    if (tier.keep === "all") {
+      kept.push(...all);
       continue;
     }
 
-    // Rule 6: Delete all builds older than 450 days.
-    if (day >= 450) {
+    // 4. Thinned tiers only consider keeping the latest build of the day;
+    // all others in the same day are removed. Use build day parity so
+    // retention stays stable across runs.
+    removed.push(...rest);
+    if (dayKey % Number(tier.everyDays) === 0) {
+      kept.push(latestInDay);
+    } else {
       removed.push(latestInDay);
-      // noinspection UnnecessaryContinueJS
-      continue;
     }
   }
 
-  return { kept, removed };
+  return { kept, removed, tiers };
 }
 
 export { applyRetentionPolicy };
@@ -15,5 +15,6 @@ await run({
   context: {
     repo: { owner: "ushkinaz", repo: "cbn-data" },
   },
-  dryRun: !process.env.GITHUB_TOKEN,
+  // A local release source never touches GitHub, so it is safe to write
+  dryRun: !process.env.GITHUB_TOKEN && !process.env.RELEASE_SOURCE_DIR,
 });
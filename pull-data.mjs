@@ -3,20 +3,57 @@ import path from "path";
 import {
   writeFile,
   getExistingBuilds,
-  updateSymlinks,
+  writeAliases,
   createGlobFn,
   processMods,
   collateAllJson,
   processLangs,
   processBaseGfx,
   extractExternalTilesets,
+  writeChanges,
+  writeResolvedJson,
+  validateGameData,
+  ingestErrorsFromEnv,
+  writeIngestErrors,
+  writeProvenance,
 } from "./pipeline.mjs";
+import {
+  createReleaseFilterFromEnv,
+  createReleaseSource,
+  releaseMaxCountFromEnv,
+} from "./release-source.mjs";
+import { encodingsFromEnv } from "./encoding.mjs";
+import { markPinned, readPins } from "./pins.mjs";
+
+/**
+ * Find the latest build of the same channel (stable or nightly) created before the release
+ * @param {any[]} builds
+ * @param {{ prerelease: boolean, created_at: string }} release
+ * @returns {string | undefined}
+ */
+function findPreviousBuild(builds, release) {
+  return builds
+    .filter(
+      (b) =>
+        b.prerelease === release.prerelease &&
+        b.created_at < release.created_at,
+    )
+    .sort((a, b) => b.created_at.localeCompare(a.created_at))[0]
+    ?.build_number;
+}
 
-/** @type {string[]} */
-const forbiddenTags = [];
-
-/** @param {import('github-script').AsyncFunctionArguments & {dryRun?: boolean}} AsyncFunctionArguments */
-export default async function run({ github, context, dryRun = false }) {
+/**
+ * @param {import('github-script').AsyncFunctionArguments & {
+ *   dryRun?: boolean,
+ *   source?: import('./release-source.mjs').ReleaseSource,
+ * }} AsyncFunctionArguments
+ */
+export default async function run({
+  github,
+  context,
+  dryRun = false,
+  source = createReleaseSource(github),
+}) {
   // Get workspace directory - either from env or default to data_workspace
   const workspaceDir = process.env.WORKSPACE_DIR || "data_workspace";
 
@@ -25,76 +62,142 @@ export default async function run({ github, context, dryRun = false }) {
   }
 
   const dataBranch = process.env.DATA_BRANCH || "main";
+  const resolveBundle = process.env.RESOLVED_BUNDLE === "true";
+  const strictValidation = process.env.STRICT_VALIDATION === "true";
+  // Write all.json/all_mods.json already in the primary encoding
+  const bundleEncoding =
+    process.env.COMPRESS_BUNDLES === "true"
+      ? encodingsFromEnv()[0]
+      : undefined;
 
   console.log(`Working in directory: ${workspaceDir}`);
   console.log(`Target branch: ${dataBranch}`);
 
-  console.log("Fetching release list...");
-
-  const { data: releases } = await github.rest.repos.listReleases({
-    owner: "cataclysmbn",
-    repo: "Cataclysm-BN",
-  });
-
   const existingBuilds = getExistingBuilds(workspaceDir);
   console.log(`Found ${existingBuilds.length} existing builds`);
 
+  console.log(`Fetching release list from ${source.name}...`);
+
+  const filter = createReleaseFilterFromEnv();
+  const maxCount = releaseMaxCountFromEnv(existingBuilds.length === 0);
+  const pendingReleases = [];
+  let seen = 0;
+  // Releases come newest first, so page through them until we reach a build
+  // we already have (or one past the age cutoff or the release limit).
+  for await (const release of source.listReleases()) {
+    const { tag_name } = release;
+    if (
+      existingBuilds.some(
+        (/** @type {any} */ b) => b.build_number === tag_name,
+      )
+    ) {
+      console.log(`Reached existing build ${tag_name}, stopping discovery.`);
+      break;
+    }
+    if (filter.isTooOld(release)) {
+      console.log(`Reached ${tag_name}, older than the age cutoff.`);
+      break;
+    }
+    if (filter.matches(tag_name)) {
+      pendingReleases.push(release);
+    } else {
+      console.log(`Skipping ${tag_name} because it's filtered out.`);
+    }
+    // Stop here rather than fetch another page just to end on it
+    if (++seen >= maxCount) {
+      console.log(
+        `Reached the limit of ${maxCount} releases, stopping discovery.`,
+      );
+      break;
+    }
+  }
+
   const newBuilds = [];
 
-  for (const release of releases.filter(
-    (r) =>
-      !existingBuilds.some(
-        (/** @type {any} */ b) => b.build_number === r.tag_name,
-      ),
-  )) {
+  // Oldest first, so each build can be diffed against the one before it
+  pendingReleases.sort((a, b) => a.created_at.localeCompare(b.created_at));
+
+  for (const release of pendingReleases) {
     const { tag_name } = release;
     const pathBase = `data/${tag_name}`;
     console.group(`Processing ${tag_name}...`);
-    if (forbiddenTags.includes(tag_name)) {
-      console.log(`Skipping ${tag_name} because it's on the forbidden list.`);
-      continue;
-    }
 
     console.log(`Fetching source...`);
 
-    const { data: zip } = await github.rest.repos.downloadZipballArchive({
-      owner: "cataclysmbn",
-      repo: "Cataclysm-BN",
-      ref: tag_name,
-    });
-
-    const zBuf = Buffer.from(/** @type {any} */ (zip));
+    const zBuf = await source.downloadZipball(tag_name);
 
     const buildDir = path.join(workspaceDir, pathBase);
     const globFn = createGlobFn(zBuf);
 
-    const modStats = processMods(globFn, buildDir, dryRun, {
+    // Malformed objects are skipped and reported unless STRICT_INGEST=true
+    const ingestErrors = ingestErrorsFromEnv();
+    const modStats = await processMods(globFn, buildDir, dryRun, {
       extractAssets: true,
-      convertGfx: false,
       writeJson: true,
+      encoding: bundleEncoding,
+      errors: ingestErrors,
     });
 
-    const { data } = collateAllJson(
+    const { data } = await collateAllJson(
       globFn,
       buildDir,
       tag_name,
       release,
       modStats.dataMods,
       dryRun,
+      { encoding: bundleEncoding, errors: ingestErrors },
+    );
+    writeIngestErrors(buildDir, ingestErrors, dryRun);
+    writeProvenance(
+      globFn,
+      buildDir,
+      tag_name,
+      source,
+      data,
+      modStats.dataMods,
+      dryRun,
     );
 
-    const { langs } = await processLangs(globFn, buildDir, dryRun, data);
-
-    processBaseGfx(globFn, buildDir, dryRun, { convertGfx: false });
-    extractExternalTilesets(globFn, buildDir, dryRun, {
-      convertPNG: false,
+    validateGameData(buildDir, tag_name, data, modStats.dataMods, dryRun, {
+      strict: strictValidation,
     });
 
+    if (resolveBundle) {
+      await writeResolvedJson(
+        buildDir,
+        tag_name,
+        data,
+        modStats.dataMods,
+        dryRun,
+      );
+    }
+
+    const { langs, coverage } = await processLangs(
+      globFn,
+      buildDir,
+      dryRun,
+      data,
+      modStats.dataMods,
+    );
+
+    writeChanges(
+      workspaceDir,
+      tag_name,
+      findPreviousBuild(existingBuilds.concat(newBuilds), release),
+      data,
+      modStats.dataMods,
+      dryRun,
+    );
+
+    processBaseGfx(globFn, buildDir, dryRun);
+    extractExternalTilesets(globFn, buildDir, dryRun);
+
     newBuilds.push({
       build_number: tag_name,
       prerelease: release.prerelease,
       created_at: release.created_at,
       langs,
+      coverage,
     });
     console.groupEnd();
   }
@@ -108,14 +211,16 @@ export default async function run({ github, context, dryRun = false }) {
   builds.sort((/** @type {any} */ a, /** @type {any} */ b) =>
     b.created_at.localeCompare(a.created_at),
   );
+  // Pins may have expired since the last pull
+  markPinned(builds, readPins(workspaceDir), new Date());
 
   console.log(`Writing ${builds.length} builds to builds.json...`);
   if (!dryRun) {
     writeFile(workspaceDir, "builds.json", JSON.stringify(builds));
   }
 
-  // Update semantic symlinks (stable/nightly)
-  updateSymlinks(workspaceDir, builds, dryRun);
+  // Point stable/nightly/... at their builds
+  writeAliases(workspaceDir, builds, dryRun);
 
   if (dryRun) {
     console.log("(DRY RUN) Skipping git commit.");
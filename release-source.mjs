@@ -0,0 +1,221 @@
+// @ts-check
+import fs from "fs";
+import minimatch from "minimatch";
+import path from "path";
+
+export const UPSTREAM_OWNER = "cataclysmbn";
+export const UPSTREAM_REPO = "Cataclysm-BN";
+
+/**
+ * Where releases and their source zipballs come from
+ * @typedef {Object} ReleaseSource
+ * @property {string} name - Human-readable description for logs
+ * @property {string} owner - Upstream repository owner
+ * @property {string} repo - Upstream repository name
+ * @property {() => AsyncIterable<any>} listReleases - All releases, newest first, fetched page by page as iterated
+ * @property {(tag: string) => Promise<any | null>} getReleaseByTag
+ * @property {(tag: string) => Promise<Buffer>} downloadZipball
+ */
+
+/**
+ * Release source backed by the GitHub REST API
+ * @param {any} github - Octokit instance (or the `github` object from github-script)
+ * @param {object} [options]
+ * @param {string} [options.owner]
+ * @param {string} [options.repo]
+ * @returns {ReleaseSource}
+ */
+export function createGitHubSource(
+  github,
+  { owner = UPSTREAM_OWNER, repo = UPSTREAM_REPO } = {},
+) {
+  return {
+    name: `GitHub ${owner}/${repo}`,
+    owner,
+    repo,
+    async *listReleases() {
+      const pages = github.paginate.iterator(github.rest.repos.listReleases, {
+        owner,
+        repo,
+        per_page: 100,
+      });
+      for await (const { data } of pages) {
+        yield* data;
+      }
+    },
+    async getReleaseByTag(tag) {
+      try {
+        const { data } = await github.rest.repos.getReleaseByTag({
+          owner,
+          repo,
+          tag,
+        });
+        return data;
+      } catch (e) {
+        return null;
+      }
+    },
+    async downloadZipball(tag) {
+      const { data } = await github.rest.repos.downloadZipballArchive({
+        owner,
+        repo,
+        ref: tag,
+      });
+      return Buffer.from(/** @type {any} */ (data));
+    },
+  };
+}
+
+/**
+ * Release source backed by a local directory, for running the pipeline offline.
+ *
+ * The directory holds releases.json (an array of GitHub release objects, at
+ * least tag_name, prerelease and created_at) and one <tag_name>.zip zipball
+ * per release.
+ * @param {string} dir
+ * @param {object} [options]
+ * @param {string} [options.owner]
+ * @param {string} [options.repo]
+ * @returns {ReleaseSource}
+ */
+export function createLocalSource(
+  dir,
+  { owner = UPSTREAM_OWNER, repo = UPSTREAM_REPO } = {},
+) {
+  const readReleases = () => {
+    /** @type {any[]} */
+    const releases = JSON.parse(
+      fs.readFileSync(path.join(dir, "releases.json"), "utf8"),
+    );
+    return releases.sort((a, b) => b.created_at.localeCompare(a.created_at));
+  };
+  return {
+    name: `local directory ${dir}`,
+    owner,
+    repo,
+    async *listReleases() {
+      yield* readReleases();
+    },
+    async getReleaseByTag(tag) {
+      return readReleases().find((r) => r.tag_name === tag) ?? null;
+    },
+    async downloadZipball(tag) {
+      return fs.readFileSync(path.join(dir, `${tag}.zip`));
+    },
+  };
+}
+
+/**
+ * Pick the release source: a local directory when RELEASE_SOURCE_DIR is set,
+ * GitHub otherwise
+ * @param {any} [github] - Octokit instance, required for the GitHub source
+ * @returns {ReleaseSource}
+ */
+export function createReleaseSource(github) {
+  const localDir = process.env.RELEASE_SOURCE_DIR;
+  if (localDir) {
+    return createLocalSource(localDir);
+  }
+  if (!github) {
+    throw new Error(
+      "A GitHub client is required unless RELEASE_SOURCE_DIR is set",
+    );
+  }
+  return createGitHubSource(github);
+}
+
+/**
+ * @typedef {Object} ReleaseFilterOptions
+ * @property {string[]} [include] - Tag globs to process; everything when empty
+ * @property {string[]} [exclude] - Tag globs to skip
+ * @property {number} [maxAgeDays] - Ignore releases created longer ago than this
+ * @property {Date} [now]
+ */
+
+/**
+ * Create a filter deciding which releases the pipeline processes
+ * @param {ReleaseFilterOptions} options
+ */
+export function createReleaseFilter({
+  include = [],
+  exclude = [],
+  maxAgeDays,
+  now = new Date(),
+} = {}) {
+  const cutoff =
+    maxAgeDays === undefined
+      ? null
+      : now.getTime() - maxAgeDays * 24 * 60 * 60 * 1000;
+  return {
+    /**
+     * @param {string} tag
+     */
+    matches(tag) {
+      if (include.length > 0 && !include.some((p) => minimatch(tag, p))) {
+        return false;
+      }
+      return !exclude.some((p) => minimatch(tag, p));
+    },
+    /**
+     * @param {{ created_at: string }} release
+     */
+    isTooOld(release) {
+      return cutoff !== null && new Date(release.created_at).getTime() < cutoff;
+    },
+  };
+}
+
+/**
+ * @param {string | undefined} value
+ * @returns {string[]}
+ */
+function parsePatternList(value) {
+  return (value ?? "")
+    .split(",")
+    .map((p) => p.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Release filter configured from RELEASE_INCLUDE and RELEASE_EXCLUDE
+ * (comma-separated tag globs) and RELEASE_MAX_AGE_DAYS
+ */
+export function createReleaseFilterFromEnv() {
+  const maxAge = process.env.RELEASE_MAX_AGE_DAYS;
+  const maxAgeDays = maxAge ? Number(maxAge) : undefined;
+  if (maxAgeDays !== undefined && !Number.isFinite(maxAgeDays)) {
+    throw new Error(
+      `RELEASE_MAX_AGE_DAYS must be a number of days, got "${maxAge}"`,
+    );
+  }
+  return createReleaseFilter({
+    include: parsePatternList(process.env.RELEASE_INCLUDE),
+    exclude: parsePatternList(process.env.RELEASE_EXCLUDE),
+    maxAgeDays,
+  });
+}
+
+// Releases a fresh workspace pulls when no age cutoff is set
+const DEFAULT_FRESH_MAX_COUNT = 100;
+
+/**
+ * How many releases discovery looks at, from RELEASE_MAX_COUNT. Unlimited by
+ * default, except on a fresh workspace without RELEASE_MAX_AGE_DAYS: with no
+ * known build to stop at, it would page through the whole upstream history.
+ * @param {boolean} freshWorkspace - builds.json has no builds yet
+ * @returns {number}
+ */
+export function releaseMaxCountFromEnv(freshWorkspace) {
+  const value = process.env.RELEASE_MAX_COUNT;
+  if (value) {
+    if (!/^\d+$/.test(value) || Number(value) < 1) {
+      throw new Error(
+        `RELEASE_MAX_COUNT must be a positive integer, got "${value}"`,
+      );
+    }
+    return Number(value);
+  }
+  return freshWorkspace && !process.env.RELEASE_MAX_AGE_DAYS
+    ? DEFAULT_FRESH_MAX_COUNT
+    : Infinity;
+}
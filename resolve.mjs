@@ -0,0 +1,352 @@
+// @ts-check
+
+/**
+ * Types that share a single id namespace for copy-from lookups
+ * @type {Record<string, string>}
+ */
+const NAMESPACES = Object.fromEntries(
+  [
+    "AMMO",
+    "ARMOR",
+    "BATTERY",
+    "BIONIC_ITEM",
+    "BOOK",
+    "COMESTIBLE",
+    "CONTAINER",
+    "ENGINE",
+    "GENERIC",
+    "GUN",
+    "GUNMOD",
+    "ITEM",
+    "MAGAZINE",
+    "PET_ARMOR",
+    "TOOL",
+    "TOOLMOD",
+    "TOOL_ARMOR",
+    "WHEEL",
+  ].map((type) => [type, "item"]),
+);
+
+/** Keys that drive inheritance and are never copied onto the resolved object */
+const INHERITANCE_KEYS = [
+  "copy-from",
+  "abstract",
+  "extend",
+  "delete",
+  "relative",
+  "proportional",
+];
+
+/**
+ * @typedef {Object} Entry
+ * @property {any} obj
+ * @property {string} [mod]
+ */
+
+/**
+ * @typedef {Map<string, Entry>} Layer
+ */
+
+/**
+ * @param {any} obj
+ * @returns {string[]}
+ */
+function getIds(obj) {
+  if (obj.abstract !== undefined) return [String(obj.abstract)];
+  if (Array.isArray(obj.id)) return obj.id.map(String);
+  if (obj.id !== undefined) return [String(obj.id)];
+  if (typeof obj.result === "string") {
+    return [obj.id_suffix ? `${obj.result}_${obj.id_suffix}` : obj.result];
+  }
+  return [];
+}
+
+/**
+ * @param {string} type
+ * @param {string} id
+ */
+function lookupKey(type, id) {
+  return `${NAMESPACES[type] ?? type}\u0000${id}`;
+}
+
+/**
+ * @param {any[]} objs
+ * @param {string} [mod]
+ * @returns {Layer}
+ */
+function buildLayer(objs, mod) {
+  /** @type {Layer} */
+  const layer = new Map();
+  for (const obj of objs) {
+    if (typeof obj?.type !== "string") continue;
+    for (const id of getIds(obj)) {
+      layer.set(lookupKey(obj.type, id), { obj, mod });
+    }
+  }
+  return layer;
+}
+
+/**
+ * Split a BN quantity such as "250 ml" into magnitude and unit
+ * @param {any} value
+ * @returns {{ amount: number, unit: string } | null}
+ */
+function parseQuantity(value) {
+  if (typeof value === "number") return { amount: value, unit: "" };
+  if (typeof value !== "string") return null;
+  const match = value.trim().match(/^(-?\d+(?:\.\d+)?)\s*([A-Za-z]*)$/);
+  if (!match) return null;
+  return { amount: Number(match[1]), unit: match[2] };
+}
+
+/**
+ * @param {any} base
+ * @param {{ amount: number, unit: string }} quantity
+ */
+function formatQuantity(base, { amount, unit }) {
+  const rounded = Math.round(amount * 1e6) / 1e6;
+  return typeof base === "number" ? rounded : `${rounded} ${unit}`.trim();
+}
+
+/**
+ * Apply a "relative" or "proportional" modifier to an inherited value
+ * @param {any} base
+ * @param {any} modifier
+ * @param {"relative" | "proportional"} mode
+ * @returns {any}
+ */
+function applyModifier(base, modifier, mode) {
+  if (
+    modifier &&
+    typeof modifier === "object" &&
+    !Array.isArray(modifier) &&
+    base &&
+    typeof base === "object" &&
+    !Array.isArray(base)
+  ) {
+    const ret = { ...base };
+    for (const [k, v] of Object.entries(modifier)) {
+      ret[k] = applyModifier(base[k], v, mode);
+    }
+    return ret;
+  }
+
+  const value = parseQuantity(base ?? 0);
+  const delta = parseQuantity(modifier);
+  if (!value || !delta) return base;
+  if (mode === "relative") {
+    if (delta.unit && value.unit && delta.unit !== value.unit) return base;
+    return formatQuantity(base ?? modifier, {
+      amount: value.amount + delta.amount,
+      unit: value.unit || delta.unit,
+    });
+  }
+  return formatQuantity(base, {
+    amount: value.amount * delta.amount,
+    unit: value.unit,
+  });
+}
+
+/**
+ * @param {any} a
+ * @param {any} b
+ */
+function sameValue(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/**
+ * Apply a child definition on top of its resolved parent
+ * @param {any} parent
+ * @param {any} child
+ */
+function inherit(parent, child) {
+  const ret = structuredClone(parent);
+  delete ret.abstract;
+  if (!("id" in child)) delete ret.id;
+
+  for (const [k, v] of Object.entries(child)) {
+    if (INHERITANCE_KEYS.includes(k)) continue;
+    ret[k] = structuredClone(v);
+  }
+
+  for (const [k, v] of Object.entries(child.relative ?? {})) {
+    ret[k] = applyModifier(ret[k], v, "relative");
+  }
+  for (const [k, v] of Object.entries(child.proportional ?? {})) {
+    ret[k] = applyModifier(ret[k], v, "proportional");
+  }
+  for (const [k, v] of Object.entries(child.extend ?? {})) {
+    ret[k] = [...(ret[k] ?? []), ...structuredClone([v].flat())];
+  }
+  for (const [k, v] of Object.entries(child.delete ?? {})) {
+    if (!Array.isArray(ret[k])) continue;
+    const doomed = [v].flat();
+    ret[k] = ret[k].filter(
+      (/** @type {any} */ x) => !doomed.some((d) => sameValue(d, x)),
+    );
+  }
+  return ret;
+}
+
+/**
+ * Describe what a single definition contributes to the resolved object
+ * @param {Entry} entry
+ */
+function traceStep({ obj, mod }) {
+  const fields = new Set(
+    Object.keys(obj).filter(
+      (k) =>
+        !INHERITANCE_KEYS.includes(k) &&
+        !["type", "id", "__filename"].includes(k),
+    ),
+  );
+  for (const modifier of ["relative", "proportional", "extend", "delete"]) {
+    for (const k of Object.keys(obj[modifier] ?? {})) fields.add(k);
+  }
+  const [id] = getIds(obj);
+  return {
+    id,
+    ...(mod ? { mod } : {}),
+    __filename: obj.__filename,
+    fields: [...fields],
+  };
+}
+
+/**
+ * @typedef {{ type: string, id: string, __filename?: string, mod?: string, reason: string }} Unresolved
+ */
+
+/**
+ * Create a resolver over a stack of layers, topmost first
+ * @param {Layer[]} layers
+ * @param {Unresolved[]} unresolved - Collects objects whose copy-from could not be applied
+ */
+function createResolver(layers, unresolved) {
+  /** @type {Map<any, any>} */
+  const cache = new Map();
+
+  /**
+   * Find the definition a copy-from refers to, skipping the child itself so
+   * that mods can redefine an object by copying from the original.
+   * @param {any} child
+   * @returns {Entry | undefined}
+   */
+  function findParent(child) {
+    const key = lookupKey(child.type, String(child["copy-from"]));
+    for (const layer of layers) {
+      const entry = layer.get(key);
+      if (entry && entry.obj !== child) return entry;
+    }
+    return undefined;
+  }
+
+  /**
+   * @param {Entry} entry
+   * @param {Set<any>} visiting - Objects on the current copy-from chain
+   * @returns {any}
+   */
+  function resolve(entry, visiting) {
+    const { obj, mod } = entry;
+    if (cache.has(obj)) return cache.get(obj);
+
+    let resolved = null;
+    if (obj["copy-from"] !== undefined) {
+      const parent = findParent(obj);
+      let reason = null;
+      if (!parent) {
+        reason = `copy-from "${obj["copy-from"]}" not found`;
+      } else if (visiting.has(parent.obj)) {
+        reason = `copy-from cycle through "${obj["copy-from"]}"`;
+      } else {
+        visiting.add(obj);
+        const base = resolve(parent, visiting);
+        visiting.delete(obj);
+        resolved = inherit(base, obj);
+        resolved.__inheritance = [traceStep(entry), ...base.__inheritance];
+      }
+      if (reason) {
+        unresolved.push({
+          type: obj.type,
+          id: getIds(obj)[0],
+          __filename: obj.__filename,
+          ...(mod ? { mod } : {}),
+          reason,
+        });
+      }
+    }
+    if (!resolved) {
+      resolved = inherit({}, obj);
+      resolved.__inheritance = [traceStep(entry)];
+    }
+
+    cache.set(obj, resolved);
+    return resolved;
+  }
+
+  /**
+   * Resolve every non-abstract object
+   * @param {any[]} objs
+   * @param {string} [mod]
+   */
+  function resolveAll(objs, mod) {
+    return objs
+      .filter(
+        (obj) => typeof obj?.type === "string" && obj.abstract === undefined,
+      )
+      .map((obj) => resolve({ obj, mod }, new Set()));
+  }
+
+  return { resolveAll };
+}
+
+/**
+ * Apply BN's inheritance rules (copy-from, extend, delete, relative,
+ * proportional) to the collated data. Each mod is resolved on top of its
+ * dependencies and the base game, so mod overrides win within that mod.
+ *
+ * Every resolved object carries __inheritance: the chain of definitions it was
+ * built from, nearest first, with the fields each one contributed.
+ * @param {any[]} data
+ * @param {Record<string, { info: any, data: any[] }>} dataMods
+ */
+export function resolveGameData(data, dataMods) {
+  /** @type {Unresolved[]} */
+  const unresolved = [];
+  const baseLayer = buildLayer(data);
+  const resolvedData = createResolver([baseLayer], unresolved).resolveAll(data);
+
+  /** @type {Map<string, Layer>} */
+  const modLayers = new Map();
+  /**
+   * Layers visible to a mod: its own objects, then its dependencies', topmost first
+   * @param {string} modId
+   * @param {Set<string>} seen
+   * @returns {Layer[]}
+   */
+  const layersFor = (modId, seen) => {
+    const mod = dataMods[modId];
+    if (!mod || seen.has(modId)) return [];
+    seen.add(modId);
+    if (!modLayers.has(modId)) {
+      modLayers.set(modId, buildLayer(mod.data, modId));
+    }
+    const deps = /** @type {string[]} */ (mod.info?.dependencies ?? []);
+    return [
+      /** @type {Layer} */ (modLayers.get(modId)),
+      ...deps.flatMap((dep) => layersFor(dep, seen)),
+    ];
+  };
+
+  /** @type {Record<string, any[]>} */
+  const mods = {};
+  for (const [modId, mod] of Object.entries(dataMods)) {
+    const layers = [...layersFor(modId, new Set()), baseLayer];
+    mods[modId] = createResolver(layers, unresolved).resolveAll(
+      mod.data,
+      modId,
+    );
+  }
+
+  return { data: resolvedData, mods, unresolved };
+}
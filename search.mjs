@@ -0,0 +1,66 @@
+// @ts-check
+
+/**
+ * Look up the translation of an object's name, falling back to the English msgid
+ * @param {any} name - `name` field: a string or { str, str_sp, str_pl, ctxt }
+ * @param {Record<string, any>} lang - Jed-style catalogue from postprocessPoJson
+ * @returns {string | null}
+ */
+export function translateName(name, lang) {
+  const msgid = typeof name === "string" ? name : (name?.str ?? name?.str_sp);
+  if (typeof msgid !== "string" || !msgid) return null;
+  const key = name?.ctxt ? `${name.ctxt}\u0004${msgid}` : msgid;
+  const translation = lang[key];
+  if (Array.isArray(translation)) return translation[0] || msgid;
+  return translation || msgid;
+}
+
+/**
+ * Split text into lowercase word tokens
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function tokenize(text) {
+  return text
+    .toLowerCase()
+    .split(/[^\p{L}\p{N}]+/u)
+    .filter(Boolean);
+}
+
+/**
+ * Build a token index over translated object names. Tokens are sorted so
+ * clients can answer prefix queries with a binary search.
+ * @param {any[]} data
+ * @param {Record<string, any>} lang - Jed-style catalogue; empty for English
+ * @param {(text: string) => string[]} [extraTokens] - Additional tokens per name, e.g. pinyin
+ */
+export function buildSearchIndex(data, lang, extraTokens) {
+  /** @type {[string, string][]} */
+  const refs = [];
+  /** @type {Map<string, Set<number>>} */
+  const postings = new Map();
+
+  for (const obj of data) {
+    if (obj.abstract !== undefined || !obj.name) continue;
+    const name = translateName(obj.name, lang);
+    if (!name) continue;
+
+    const tokens = new Set(tokenize(name));
+    for (const token of extraTokens?.(name) ?? []) tokens.add(token);
+    if (tokens.size === 0) continue;
+
+    for (const id of [obj.id].flat()) {
+      if (typeof id !== "string") continue;
+      const ref = refs.push([obj.type, id]) - 1;
+      for (const token of tokens) {
+        if (!postings.has(token)) postings.set(token, new Set());
+        /** @type {Set<number>} */ (postings.get(token)).add(ref);
+      }
+    }
+  }
+
+  const tokens = [...postings.entries()]
+    .sort(([a], [b]) => (a < b ? -1 : a > b ? 1 : 0))
+    .map(([token, ids]) => [token, [...ids]]);
+  return { refs, tokens };
+}
@@ -0,0 +1,95 @@
+// @ts-check
+
+/** Cache-Control for dated builds, whose files never change once published */
+export const DATA_CACHE_CONTROL = "public, max-age=31536000, immutable";
+/** Cache-Control for aliases and the top-level indexes, which move with every pull */
+export const INDEX_CACHE_CONTROL = "public, max-age=300, must-revalidate";
+
+/** URL patterns of the aliases under /data, see computeAliases */
+const ALIAS_PATTERNS = [
+  "/data/stable/*",
+  "/data/stable-previous/*",
+  "/data/nightly/*",
+  "/data/nightly-*",
+];
+
+/**
+ * Resolve the build aliases from builds.json:
+ * - stable / nightly: newest release / prerelease
+ * - stable-previous: the release before stable
+ * - nightly-YYYY-MM: last prerelease created in that month
+ * @param {Array<{ build_number: string, prerelease: boolean, created_at: string }>} builds
+ * @returns {Record<string, string>} alias -> build_number
+ */
+export function computeAliases(builds) {
+  const sorted = [...builds].sort((a, b) =>
+    b.created_at.localeCompare(a.created_at),
+  );
+  const stables = sorted.filter((b) => !b.prerelease);
+  const nightlies = sorted.filter((b) => b.prerelease);
+
+  /** @type {Record<string, string>} */
+  const aliases = {};
+  if (stables[0]) aliases.stable = stables[0].build_number;
+  if (stables[1]) aliases["stable-previous"] = stables[1].build_number;
+  if (nightlies[0]) aliases.nightly = nightlies[0].build_number;
+  for (const build of nightlies) {
+    aliases[`nightly-${build.created_at.slice(0, 7)}`] ??= build.build_number;
+  }
+  return aliases;
+}
+
+/**
+ * Cloudflare Pages `_redirects`: each alias redirects to the build it points
+ * at, e.g. /data/stable/all.json -> /data/v0.9.1/all.json
+ * @param {Record<string, string>} aliases - From computeAliases
+ * @returns {string}
+ */
+export function buildRedirects(aliases) {
+  const lines = Object.entries(aliases).map(
+    ([alias, build]) => `/data/${alias}/* /data/${build}/:splat 302`,
+  );
+  return `# Generated by the data pipeline, do not edit\n\n${lines.join("\n")}\n`;
+}
+
+/**
+ * @param {string} pattern
+ * @param {string[]} lines - Header lines, `Name: value` or `! Name` to detach
+ */
+function rule(pattern, lines) {
+  return [pattern, ...lines.map((line) => `  ${line}`)].join("\n");
+}
+
+/**
+ * Cloudflare Pages `_headers`: every JSON file under /data is precompressed,
+ * the primary encoding under its .json name and the others as .json<suffix>
+ * variants, so each pattern gets the Content-Encoding it was stored with.
+ * Dated builds are cached as immutable, aliases only briefly.
+ * @param {import("./encoding.mjs").Encoding[]} encodings - Primary first
+ * @returns {string}
+ */
+export function buildHeaders(encodings) {
+  const [primary, ...variants] = encodings;
+  const shortLived = [`Cache-Control: ${INDEX_CACHE_CONTROL}`];
+  const rules = [
+    rule("/builds.json", shortLived),
+    rule("/manifests.json", shortLived),
+    rule("/aliases.json", shortLived),
+    rule("/data/*", [`Cache-Control: ${DATA_CACHE_CONTROL}`]),
+    // Matching rules add up, so drop the immutable policy first
+    ...ALIAS_PATTERNS.map((pattern) =>
+      rule(pattern, ["! Cache-Control", ...shortLived]),
+    ),
+    rule("/data/*.json", [
+      "Content-Type: application/json",
+      `Content-Encoding: ${primary.contentEncoding}`,
+    ]),
+    ...variants.map((encoding) =>
+      rule(`/data/*.json${encoding.suffix}`, [
+        "Content-Type: application/json",
+        `Content-Encoding: ${encoding.contentEncoding}`,
+      ]),
+    ),
+  ];
+  return `# Generated by the data pipeline, do not edit\n\n${rules.join("\n\n")}\n`;
+}
@@ -0,0 +1,214 @@
+// @ts-check
+
+/**
+ * Published name of a sprite sheet; every PNG is converted to WebP
+ * @param {string} file
+ */
+export function toWebpName(file) {
+  return file.replace(/\.png$/i, ".webp");
+}
+
+/**
+ * Point a tileset config's sheet references at the published WebP files
+ * @param {any} config - tile_config.json contents or a mod_tileset object
+ * @param {(file: string) => boolean} exists - Whether a config-relative sheet exists in the source
+ * @returns {{ config: any, missing: string[] }} rewritten copy and the sheets that were not found
+ */
+export function rewriteSheetFiles(config, exists) {
+  /** @type {string[]} */
+  const missing = [];
+  const parts = config["tiles-new"];
+  if (!Array.isArray(parts)) return { config, missing };
+  return {
+    config: {
+      ...config,
+      "tiles-new": parts.map((part) => {
+        if (typeof part?.file !== "string") return part;
+        if (!exists(part.file)) missing.push(part.file);
+        return { ...part, file: toWebpName(part.file) };
+      }),
+    },
+    missing,
+  };
+}
+
+/**
+ * Read the tileset name from a tileset.txt (`NAME: UltimateCataclysm`)
+ * @param {string} text
+ * @returns {string | null}
+ */
+export function parseTilesetName(text) {
+  return text.match(/^\s*NAME\s*:\s*(.+?)\s*$/m)?.[1] ?? null;
+}
+
+/**
+ * Read width and height from a PNG's IHDR chunk
+ * @param {Buffer} buffer
+ * @returns {{ width: number, height: number } | null}
+ */
+export function getPngSize(buffer) {
+  const signature = "89504e470d0a1a0a";
+  if (buffer.length < 24 || buffer.toString("hex", 0, 8) !== signature) {
+    return null;
+  }
+  return { width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+}
+
+/**
+ * @typedef {Object} Sheet
+ * @property {string} file - Published (WebP) file name, relative to the tileset
+ * @property {number} width
+ * @property {number} height
+ * @property {number} sprite_width
+ * @property {number} sprite_height
+ * @property {number} sprite_offset_x
+ * @property {number} sprite_offset_y
+ * @property {number} first - Index of the sheet's first sprite
+ * @property {number} count - Number of sprites in the sheet
+ */
+
+/**
+ * @typedef {Object} SpriteRect
+ * @property {string} file
+ * @property {number} x
+ * @property {number} y
+ * @property {number} width
+ * @property {number} height
+ * @property {number} offset_x
+ * @property {number} offset_y
+ */
+
+/**
+ * Normalize a tile's fg/bg into weighted variants, each a list of sprite
+ * indices (one per rotation)
+ * @param {any} value
+ * @returns {{ weight: number, sprites: number[] }[]}
+ */
+function spriteVariants(value) {
+  if (typeof value === "number") return [{ weight: 1, sprites: [value] }];
+  if (!Array.isArray(value) || value.length === 0) return [];
+  if (value.every((v) => typeof v === "number")) {
+    return [{ weight: 1, sprites: value }];
+  }
+  return value.map((v) =>
+    typeof v === "number"
+      ? { weight: 1, sprites: [v] }
+      : { weight: v.weight ?? 1, sprites: [v.sprite].flat() },
+  );
+}
+
+/**
+ * Map every tile id of a tileset config (tile_config.json or a mod_tileset
+ * object) to the sheet file, pixel rect and offsets of its sprites.
+ *
+ * Sprite indices run across the config's sheets in order, each sheet holding
+ * (width / sprite_width) * (height / sprite_height) sprites.
+ * @param {any} config
+ * @param {(file: string) => Buffer | null | undefined} getImage - Sheet PNG contents by config-relative path
+ * @param {any} [defaultTileInfo] - tile_info for configs without one, i.e. mod_tileset objects, which use their base tileset's
+ */
+export function buildSpriteIndex(config, getImage, defaultTileInfo = {}) {
+  const tileInfo = config.tile_info?.[0] ?? defaultTileInfo;
+  const defaultWidth = tileInfo.width ?? 32;
+  const defaultHeight = tileInfo.height ?? 32;
+
+  /** @type {Sheet[]} */
+  const sheets = [];
+  /** @type {string[]} */
+  const missing = [];
+  let next = 0;
+  for (const part of config["tiles-new"] ?? []) {
+    if (typeof part.file !== "string") continue;
+    const image = getImage(part.file);
+    const size = image ? getPngSize(image) : null;
+    if (!size) missing.push(part.file);
+
+    const sprite_width = part.sprite_width ?? defaultWidth;
+    const sprite_height = part.sprite_height ?? defaultHeight;
+    const count = size
+      ? Math.floor(size.width / sprite_width) *
+        Math.floor(size.height / sprite_height)
+      : 0;
+    sheets.push({
+      file: toWebpName(part.file),
+      width: size?.width ?? 0,
+      height: size?.height ?? 0,
+      sprite_width,
+      sprite_height,
+      sprite_offset_x: part.sprite_offset_x ?? 0,
+      sprite_offset_y: part.sprite_offset_y ?? 0,
+      first: next,
+      count,
+    });
+    next += count;
+  }
+
+  /**
+   * @param {number} index
+   * @returns {SpriteRect | null}
+   */
+  const rect = (index) => {
+    const sheet = sheets.find(
+      (s) => index >= s.first && index < s.first + s.count,
+    );
+    if (!sheet) return null;
+    const local = index - sheet.first;
+    const columns = Math.floor(sheet.width / sheet.sprite_width);
+    return {
+      file: sheet.file,
+      x: (local % columns) * sheet.sprite_width,
+      y: Math.floor(local / columns) * sheet.sprite_height,
+      width: sheet.sprite_width,
+      height: sheet.sprite_height,
+      offset_x: sheet.sprite_offset_x,
+      offset_y: sheet.sprite_offset_y,
+    };
+  };
+
+  /** @param {any} value */
+  const layer = (value) =>
+    spriteVariants(value).map(({ weight, sprites }) => ({
+      weight,
+      sprites: sprites.filter((i) => i >= 0).map(rect),
+    }));
+
+  /** @type {Record<string, any>} */
+  const tiles = {};
+  /**
+   * @param {string} id
+   * @param {any} tile
+   */
+  const addTile = (id, tile) => {
+    const season = id.match(/_season_(spring|summer|autumn|winter)$/)?.[1];
+    tiles[id] = {
+      fg: layer(tile.fg),
+      bg: layer(tile.bg),
+      ...(tile.rotates ? { rotates: true } : {}),
+      ...(tile.animated ? { animated: true } : {}),
+      ...(tile.multitile ? { multitile: true } : {}),
+      ...(season ? { season } : {}),
+    };
+  };
+
+  for (const part of config["tiles-new"] ?? []) {
+    for (const tile of part.tiles ?? []) {
+      for (const id of [tile.id].flat()) {
+        if (typeof id !== "string") continue;
+        addTile(id, tile);
+        // Multitile subtiles are looked up as <id>_<subtile>, e.g. t_wall_center
+        for (const sub of tile.additional_tiles ?? []) {
+          addTile(`${id}_${sub.id}`, sub);
+        }
+      }
+    }
+  }
+
+  return {
+    index: {
+      tile_info: tileInfo,
+      sheets,
+      tiles,
+    },
+    missing,
+  };
+}
@@ -0,0 +1,80 @@
+// @ts-check
+import { cyrillic } from "./cyrillic.mjs";
+import { hangul } from "./hangul.mjs";
+import { pinyin } from "./pinyin.mjs";
+
+/**
+ * Romanizes translations so they can be searched from a Latin keyboard
+ * @typedef {Object} Transliterator
+ * @property {string} scheme - Suffix of the companion file, lang/<lang>_<scheme>.json
+ * @property {string[]} langs - Language prefixes handled, e.g. "zh" for zh_CN and zh_TW
+ * @property {(str: string, lang: string) => string} romanize - Plain romanization, also used for search tokens
+ * @property {(str: string, lang: string) => string} [initials] - Initials of the romanized words, written to lang/<lang>_<scheme>_initials.json; "" when there are none
+ */
+
+/**
+ * Registered transliterators. Japanese is not covered: kanji readings need a
+ * dictionary-based analyzer.
+ * @type {Transliterator[]}
+ */
+export const TRANSLITERATORS = [pinyin, cyrillic, hangul];
+
+/**
+ * Find the transliterator for a language code such as zh_CN or ru
+ * @param {string} lang
+ * @returns {Transliterator | undefined}
+ */
+export function findTransliterator(lang) {
+  const prefix = lang.split("_")[0];
+  return TRANSLITERATORS.find((t) => t.langs.includes(prefix));
+}
+
+/**
+ * Companion files of a language: file suffix and the form written to it
+ * @param {Transliterator} transliterator
+ * @returns {[string, (str: string, lang: string) => string][]}
+ */
+export function transliteratedForms(transliterator) {
+  /** @type {[string, (str: string, lang: string) => string][]} */
+  const forms = [[transliterator.scheme, transliterator.romanize]];
+  if (transliterator.initials) {
+    forms.push([`${transliterator.scheme}_initials`, transliterator.initials]);
+  }
+  return forms;
+}
+
+/**
+ * Map the translatable names and descriptions of objects to a romanized
+ * form of their translation, keeping the catalogue header. Strings with no
+ * such form are left out.
+ * @param {(str: string, lang: string) => string} form - e.g. Transliterator.romanize
+ * @param {any[]} objects
+ * @param {Record<string, any>} json - Catalogue from postprocessPoJson
+ * @param {string} lang
+ */
+export function transliterateCatalogue(form, objects, json, lang) {
+  const strings = objects
+    .flatMap((x) => [x.name, x.description])
+    .filter((x) => x)
+    .flatMap((x) =>
+      typeof x === "string"
+        ? [x]
+        : [x.str, x.str_sp, x.str_pl].filter((x) => x),
+    );
+
+  /** @param {string} str */
+  const convert = (str) => form(str, lang);
+
+  /** @type {Record<string, any>} */
+  const out = {};
+  out[""] = json[""];
+  for (const str of new Set(strings)) {
+    const translation = json[str];
+    if (!translation) continue;
+    const value = Array.isArray(translation)
+      ? translation.map(convert)
+      : convert(translation);
+    if ([value].flat().some(Boolean)) out[str] = value;
+  }
+  return out;
+}
@@ -0,0 +1,140 @@
+// @ts-check
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const SCHEMA_DIR = fileURLToPath(new URL("./schemas/", import.meta.url));
+
+/**
+ * Load the schemas shipped in schemas/, keyed by file name
+ * @param {string} [schemaDir]
+ */
+export function loadSchemas(schemaDir = SCHEMA_DIR) {
+  /** @type {{ common: string, types: Record<string, string> }} */
+  const index = JSON.parse(
+    fs.readFileSync(path.join(schemaDir, "index.json"), "utf8"),
+  );
+  /** @type {Record<string, any>} */
+  const files = {};
+  for (const file of fs.readdirSync(schemaDir)) {
+    if (file === "index.json" || !file.endsWith(".json")) continue;
+    files[file] = JSON.parse(
+      fs.readFileSync(path.join(schemaDir, file), "utf8"),
+    );
+  }
+  return { index, files };
+}
+
+/**
+ * @param {any} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return "null";
+  if (Array.isArray(value)) return "array";
+  if (Number.isInteger(value)) return "integer";
+  return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used in schemas/:
+ * type, required, properties, items, enum, anyOf, minimum, maximum and $ref
+ * ("file.json#/definitions/name" or "#/definitions/name").
+ * @param {any} value
+ * @param {any} schema
+ * @param {{ files: Record<string, any> }} schemas
+ * @param {string} file - Schema file the current schema belongs to, for local refs
+ * @param {string} at - JSON path of the value, for messages
+ * @returns {string[]} error messages
+ */
+function check(value, schema, schemas, file, at) {
+  if (schema.$ref) {
+    const [refFile, pointer] = schema.$ref.split("#");
+    const targetFile = refFile || file;
+    let target = schemas.files[targetFile];
+    for (const part of (pointer ?? "").split("/").filter(Boolean)) {
+      target = target?.[part];
+    }
+    if (!target) return [`${at}: unknown schema reference ${schema.$ref}`];
+    return check(value, target, schemas, targetFile, at);
+  }
+
+  if (schema.type) {
+    const allowed = [schema.type].flat();
+    const actual = typeOf(value);
+    const ok = allowed.some(
+      (t) => t === actual || (t === "number" && actual === "integer"),
+    );
+    if (!ok) return [`${at}: expected ${allowed.join(" or ")}, got ${actual}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [`${at}: expected one of ${schema.enum.join(", ")}`];
+  }
+  if (typeof value === "number") {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      return [`${at}: must be at least ${schema.minimum}`];
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      return [`${at}: must be at most ${schema.maximum}`];
+    }
+  }
+
+  /** @type {string[]} */
+  const errors = [];
+  if (schema.anyOf) {
+    const failures = schema.anyOf.map((/** @type {any} */ s) =>
+      check(value, s, schemas, file, at),
+    );
+    if (failures.every((/** @type {string[]} */ f) => f.length > 0)) {
+      errors.push(failures.map((f) => f.join(", ")).join(" or "));
+    }
+  }
+  if (typeOf(value) === "object") {
+    for (const key of schema.required ?? []) {
+      if (!(key in value)) errors.push(`${at}: missing required "${key}"`);
+    }
+    for (const [key, sub] of Object.entries(schema.properties ?? {})) {
+      if (key in value) {
+        errors.push(...check(value[key], sub, schemas, file, `${at}.${key}`));
+      }
+    }
+  }
+  if (Array.isArray(value) && schema.items) {
+    value.forEach((item, i) => {
+      errors.push(...check(item, schema.items, schemas, file, `${at}[${i}]`));
+    });
+  }
+  return errors;
+}
+
+/**
+ * Validate objects against the common schema and their type's schema
+ * @param {any[]} objs
+ * @param {ReturnType<typeof loadSchemas>} schemas
+ * @returns {Record<string, string[]>} errors keyed by __filename location
+ */
+export function validateObjects(objs, schemas) {
+  /** @type {Record<string, string[]>} */
+  const errors = {};
+  for (const obj of objs) {
+    const objErrors = check(
+      obj,
+      schemas.files[schemas.index.common],
+      schemas,
+      schemas.index.common,
+      "$",
+    );
+    const typeSchema = schemas.index.types[obj?.type];
+    if (typeSchema) {
+      objErrors.push(
+        ...check(obj, schemas.files[typeSchema], schemas, typeSchema, "$"),
+      );
+    }
+    if (objErrors.length > 0) {
+      const location = obj?.__filename ?? "(unknown)";
+      (errors[location] ??= []).push(...objErrors);
+    }
+  }
+  return errors;
+}
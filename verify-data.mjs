@@ -0,0 +1,489 @@
+// @ts-check
+/**
+ * Workspace consistency checker
+ *
+ * Checks that builds.json, the data/ directories and the build aliases agree,
+ * and that every build is fully postprocessed. Exits non-zero when problems
+ * are found, unless --repair fixed them all.
+ *
+ * Usage:
+ *   node verify-data.mjs                          # Report only
+ *   node verify-data.mjs --repair                 # Fix what can be fixed
+ *   node verify-data.mjs --repair --remove-orphans  # Also delete directories not in builds.json
+ *   node verify-data.mjs --workspace=path/to/ws   # Default: data_workspace
+ *   node verify-data.mjs --jobs=4                 # Concurrent cwebp/compression jobs
+ *   node verify-data.mjs --encodings=br,gzip      # Expected encodings (default: ENCODINGS or br)
+ *
+ * Regenerating a missing all.json / all_mods.json downloads the release
+ * zipball, so --repair needs GITHUB_TOKEN or RELEASE_SOURCE_DIR for those.
+ *
+ * Nothing is checked or repaired when builds.json is missing or invalid, since
+ * every build directory would then look orphaned.
+ */
+import { Octokit } from "octokit";
+import fs from "fs";
+import path from "path";
+import {
+  exec,
+  isStoredAs,
+  collateAllJson,
+  processMods,
+  compressJsonFiles,
+  convertPngs,
+  createGlobFn,
+  parseJobs,
+  listFilesByExt,
+  writeAliases,
+  writeFile,
+  writeManifest,
+  writeManifestIndex,
+  ingestErrorsFromEnv,
+  writeIngestErrors,
+  writeProvenance,
+} from "./pipeline.mjs";
+import { parseEncodings } from "./encoding.mjs";
+import { buildRedirects, computeAliases } from "./serving.mjs";
+import { createReleaseSource } from "./release-source.mjs";
+
+const DEFAULT_WORKSPACE = "data_workspace";
+
+/**
+ * @typedef {"orphan-dir" | "missing-dir" | "missing-bundle" | "missing-lang" | "uncompressed-json" | "leftover-png" | "broken-aliases"} IssueKind
+ */
+
+/**
+ * @typedef {Object} Issue
+ * @property {IssueKind} kind
+ * @property {string | null} build - Build number, null for workspace-wide issues
+ * @property {string} message
+ * @property {string[]} [items] - Affected files or langs
+ */
+
+function parseArgs() {
+  const args = process.argv.slice(2);
+  const repair = args.includes("--repair");
+  const removeOrphans = args.includes("--remove-orphans");
+  const workspaceArg = args.find((arg) => arg.startsWith("--workspace="));
+  const workspaceDir = workspaceArg
+    ? workspaceArg.split("=")[1]
+    : DEFAULT_WORKSPACE;
+  const jobsArg = args.find((arg) => arg.startsWith("--jobs="));
+  const jobs = parseJobs(jobsArg?.split("=")[1]);
+  const encodingsArg = args.find((arg) => arg.startsWith("--encodings="));
+  const encodings = parseEncodings(
+    encodingsArg ? encodingsArg.split("=")[1] : process.env.ENCODINGS,
+  );
+  return { repair, removeOrphans, workspaceDir, jobs, encodings };
+}
+
+/**
+ * Directories under data/, skipping the legacy stable/nightly symlinks
+ * (reported as broken aliases instead)
+ * @param {string} dataDir
+ */
+function listBuildDirs(dataDir) {
+  if (!fs.existsSync(dataDir)) return [];
+  return fs
+    .readdirSync(dataDir, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => entry.name)
+    .sort();
+}
+
+/**
+ * Read builds.json. Unlike getExistingBuilds, a missing or invalid file is an
+ * error rather than an empty workspace.
+ * @param {string} workspaceDir
+ * @returns {any[]}
+ */
+function readBuilds(workspaceDir) {
+  const buildsPath = path.join(workspaceDir, "builds.json");
+  const text = readText(buildsPath);
+  if (text === null) throw new Error(`${buildsPath} not found`);
+  let builds;
+  try {
+    builds = JSON.parse(text);
+  } catch (e) {
+    throw new Error(`${buildsPath} is not valid JSON`);
+  }
+  if (!Array.isArray(builds)) {
+    throw new Error(`${buildsPath} is not an array of builds`);
+  }
+  return builds;
+}
+
+/**
+ * @param {string} filePath
+ */
+function readText(filePath) {
+  try {
+    return fs.readFileSync(filePath, "utf8");
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Compare aliases.json and _redirects with what builds.json implies
+ * @param {string} workspaceDir
+ * @param {any[]} builds
+ * @returns {string[]} Problems found
+ */
+function checkAliases(workspaceDir, builds) {
+  const problems = [];
+  const expected = computeAliases(builds);
+  const dataDir = path.join(workspaceDir, "data");
+
+  const aliasesText = readText(path.join(workspaceDir, "aliases.json"));
+  if (aliasesText === null) {
+    problems.push("aliases.json is missing");
+  } else {
+    /** @type {Record<string, string>} */
+    let aliases = {};
+    try {
+      aliases = JSON.parse(aliasesText);
+    } catch (e) {
+      problems.push("aliases.json is not valid JSON");
+    }
+    for (const [alias, target] of Object.entries(aliases)) {
+      if (!fs.existsSync(path.join(dataDir, target))) {
+        problems.push(`${alias} points at missing build ${target}`);
+      } else if (expected[alias] !== target) {
+        problems.push(
+          `${alias} points at ${target}, expected ${expected[alias] ?? "nothing"}`,
+        );
+      }
+    }
+    for (const alias of Object.keys(expected)) {
+      if (!(alias in aliases)) problems.push(`${alias} is missing`);
+    }
+  }
+
+  if (
+    readText(path.join(workspaceDir, "_redirects")) !== buildRedirects(expected)
+  ) {
+    problems.push("_redirects is out of date");
+  }
+
+  for (const name of ["stable", "nightly"]) {
+    try {
+      if (fs.lstatSync(path.join(dataDir, name)).isSymbolicLink()) {
+        problems.push(`legacy symlink data/${name} is still present`);
+      }
+    } catch (e) {
+      // Doesn't exist, that's fine
+    }
+  }
+  return problems;
+}
+
+/**
+ * Check a build listed in builds.json
+ * @param {string} workspaceDir
+ * @param {any} build
+ * @param {import("./encoding.mjs").Encoding[]} encodings
+ * @returns {Issue[]}
+ */
+function checkBuild(workspaceDir, build, encodings) {
+  const tag = build.build_number;
+  const buildDir = path.join(workspaceDir, "data", tag);
+  if (!fs.existsSync(buildDir)) {
+    return [
+      { kind: "missing-dir", build: tag, message: `data/${tag} is missing` },
+    ];
+  }
+
+  /** @type {Issue[]} */
+  const issues = [];
+  const missingBundles = ["all.json", "all_mods.json"].filter(
+    (f) => !fs.existsSync(path.join(buildDir, f)),
+  );
+  if (missingBundles.length > 0) {
+    issues.push({
+      kind: "missing-bundle",
+      build: tag,
+      message: `missing ${missingBundles.join(", ")}`,
+      items: missingBundles,
+    });
+  }
+
+  const missingLangs = (build.langs ?? []).filter(
+    (/** @type {string} */ lang) =>
+      !fs.existsSync(path.join(buildDir, "lang", `${lang}.json`)),
+  );
+  if (missingLangs.length > 0) {
+    issues.push({
+      kind: "missing-lang",
+      build: tag,
+      message: `builds.json lists langs without files: ${missingLangs.join(", ")}`,
+      items: missingLangs,
+    });
+  }
+
+  const uncompressed = listFilesByExt(buildDir, ".json").filter(
+    (f) => !isStoredAs(f, encodings),
+  );
+  if (uncompressed.length > 0) {
+    issues.push({
+      kind: "uncompressed-json",
+      build: tag,
+      message: `${uncompressed.length} JSON files not stored as ${encodings.map((e) => e.name).join(", ")}`,
+      items: uncompressed,
+    });
+  }
+
+  const pngs = listFilesByExt(buildDir, ".png");
+  if (pngs.length > 0) {
+    issues.push({
+      kind: "leftover-png",
+      build: tag,
+      message: `${pngs.length} PNGs not converted to WebP`,
+      items: pngs,
+    });
+  }
+  return issues;
+}
+
+/**
+ * Regenerate all.json, all_mods.json and provenance.json from the release zipball
+ * @param {import("./release-source.mjs").ReleaseSource} source
+ * @param {string} buildDir
+ * @param {string} tag
+ */
+async function regenerateBundles(source, buildDir, tag) {
+  const zip = await source.downloadZipball(tag);
+  const globFn = createGlobFn(zip);
+  const release = await source.getReleaseByTag(tag);
+  const errors = ingestErrorsFromEnv();
+  const { dataMods } = await processMods(globFn, buildDir, false, {
+    extractAssets: false,
+    writeJson: true,
+    errors,
+  });
+  const { data } = await collateAllJson(
+    globFn,
+    buildDir,
+    tag,
+    release,
+    dataMods,
+    false,
+    { errors },
+  );
+  writeIngestErrors(buildDir, errors, false);
+  writeProvenance(globFn, buildDir, tag, source, data, dataMods, false);
+}
+
+/**
+ * Fix the issues of one build. Returns the kinds it could not fix.
+ * @param {Issue[]} issues
+ * @param {object} context
+ * @param {string} context.buildDir
+ * @param {any} context.build
+ * @param {() => import("./release-source.mjs").ReleaseSource | null} context.getSource
+ * @param {number} context.jobs
+ * @param {import("./encoding.mjs").Encoding[]} context.encodings
+ * @returns {Promise<Set<IssueKind>>}
+ */
+async function repairBuild(issues, context) {
+  const { buildDir, build, getSource, jobs, encodings } = context;
+  const kinds = new Set(issues.map((i) => i.kind));
+  /** @type {Set<IssueKind>} */
+  const unfixed = new Set();
+
+  if (kinds.has("missing-dir")) {
+    // Nothing to salvage, rebuilding everything is backfill's job
+    console.log(
+      `  ⚠️  Run backfill-data.mjs --build=${build.build_number} to rebuild it`,
+    );
+    unfixed.add("missing-dir");
+    return unfixed;
+  }
+
+  if (kinds.has("missing-bundle")) {
+    const source = getSource();
+    if (source) {
+      console.log("  🧩 Regenerating all.json and all_mods.json...");
+      await regenerateBundles(source, buildDir, build.build_number);
+    } else {
+      console.log(
+        "  ⚠️  Set GITHUB_TOKEN or RELEASE_SOURCE_DIR to regenerate bundles",
+      );
+      unfixed.add("missing-bundle");
+    }
+  }
+
+  for (const issue of issues) {
+    if (issue.kind === "missing-lang") {
+      const missing = new Set(issue.items);
+      console.log(
+        `  🌐 Dropping langs from builds.json: ${issue.items?.join(", ")}`,
+      );
+      build.langs = build.langs.filter(
+        (/** @type {string} */ lang) => !missing.has(lang),
+      );
+      for (const lang of missing) {
+        if (build.coverage) delete build.coverage[lang];
+      }
+    }
+  }
+
+  const pngs = listFilesByExt(buildDir, ".png");
+  if (pngs.length > 0) {
+    // convertPngs skips PNGs whose WebP already exists, so drop those first
+    const converted = pngs.filter((f) =>
+      fs.existsSync(f.replace(/\.png$/i, ".webp")),
+    );
+    for (const f of converted) fs.rmSync(f);
+    const toConvert = pngs.filter((f) => !converted.includes(f));
+    if (
+      toConvert.length > 0 &&
+      !exec("which cwebp", { silent: true, ignoreError: true })
+    ) {
+      console.log("  ⚠️  cwebp not found, leaving PNGs in place");
+      unfixed.add("leftover-png");
+    } else {
+      console.log(
+        `  🎨 Converting ${toConvert.length} PNGs, removing ${converted.length} already converted`,
+      );
+      const res = await convertPngs(toConvert, false, { jobs });
+      if (res.failed > 0) unfixed.add("leftover-png");
+    }
+  }
+
+  // Regenerated bundles are written uncompressed, so always check
+  const res = await compressJsonFiles(buildDir, false, false, {
+    jobs,
+    encodings,
+  });
+  if (res.compressedCount > 0) {
+    console.log(`  🗜️  Compressed ${res.compressedCount} JSON files`);
+  }
+
+  console.log("  📝 Writing manifest...");
+  writeManifest(buildDir, build.build_number, false, encodings);
+  return unfixed;
+}
+
+async function verify() {
+  const { repair, removeOrphans, workspaceDir, jobs, encodings } = parseArgs();
+
+  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  console.log("🩺 Verify data workspace");
+  console.log("━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━");
+  console.log(`Workspace: ${workspaceDir}`);
+  console.log(`Mode: ${repair ? "REPAIR" : "REPORT"}`);
+  console.log(`Encodings: ${encodings.map((e) => e.name).join(", ")}`);
+  console.log("");
+
+  const dataDir = path.join(workspaceDir, "data");
+  const builds = readBuilds(workspaceDir);
+  const listed = new Set(builds.map((/** @type {any} */ b) => b.build_number));
+
+  /** @type {Issue[]} */
+  const issues = [];
+  for (const dir of listBuildDirs(dataDir)) {
+    if (!listed.has(dir)) {
+      issues.push({
+        kind: "orphan-dir",
+        build: dir,
+        message: `data/${dir} is not in builds.json`,
+      });
+    }
+  }
+  for (const build of builds) {
+    issues.push(...checkBuild(workspaceDir, build, encodings));
+  }
+  const aliasProblems = checkAliases(workspaceDir, builds);
+  if (aliasProblems.length > 0) {
+    issues.push({
+      kind: "broken-aliases",
+      build: null,
+      message: aliasProblems.join("; "),
+      items: aliasProblems,
+    });
+  }
+
+  for (const issue of issues) {
+    console.log(
+      `  ❌ [${issue.kind}] ${issue.build ?? "workspace"}: ${issue.message}`,
+    );
+  }
+  if (issues.length === 0) {
+    console.log(`✅ ${builds.length} builds, no problems found`);
+    return;
+  }
+  console.log(`\nFound ${issues.length} problems`);
+
+  if (!repair) {
+    console.log("Run with --repair to fix them");
+    process.exitCode = 1;
+    return;
+  }
+
+  console.log("\n🔧 Repairing...\n");
+  /** @type {import("./release-source.mjs").ReleaseSource | null | undefined} */
+  let source;
+  const getSource = () => {
+    if (source === undefined) {
+      const token = process.env.GITHUB_TOKEN;
+      source =
+        token || process.env.RELEASE_SOURCE_DIR
+          ? createReleaseSource(new Octokit({ auth: token }))
+          : null;
+    }
+    return source;
+  };
+
+  /** @type {Issue[]} */
+  const remaining = [];
+  const orphans = issues.filter((i) => i.kind === "orphan-dir");
+  if (orphans.length > 0 && !removeOrphans) {
+    console.log("  ⚠️  Pass --remove-orphans to delete orphan directories");
+    remaining.push(...orphans);
+  } else {
+    for (const issue of orphans) {
+      fs.rmSync(path.join(dataDir, /** @type {string} */ (issue.build)), {
+        recursive: true,
+        force: true,
+      });
+      console.log(`  🧹 Removed data/${issue.build}`);
+    }
+  }
+  for (const build of builds) {
+    const buildIssues = issues.filter((i) => i.build === build.build_number);
+    if (buildIssues.length === 0) continue;
+    console.group(`📦 ${build.build_number}`);
+    const unfixed = await repairBuild(buildIssues, {
+      buildDir: path.join(dataDir, build.build_number),
+      build,
+      getSource,
+      jobs,
+      encodings,
+    });
+    remaining.push(...buildIssues.filter((i) => unfixed.has(i.kind)));
+    console.groupEnd();
+  }
+
+  // Langs may have been dropped above
+  writeFile(workspaceDir, "builds.json", JSON.stringify(builds));
+  writeAliases(workspaceDir, builds, false);
+  writeManifestIndex(workspaceDir, false);
+
+  console.log("");
+  if (remaining.length > 0) {
+    console.log(`⚠️  ${remaining.length} problems could not be repaired:`);
+    for (const issue of remaining) {
+      console.log(`  - [${issue.kind}] ${issue.build}: ${issue.message}`);
+    }
+    process.exitCode = 1;
+  } else {
+    console.log(`✅ Repaired ${issues.length} problems`);
+  }
+}
+
+verify().catch((error) => {
+  console.error("\n❌ Error during verify:");
+  console.error(error.message);
+  if (error.stack) console.error(error.stack);
+  process.exit(1);
+});